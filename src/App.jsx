@@ -1,214 +1,563 @@
 
 import React, { useState, useRef, useEffect } from 'react';
-import { Camera, Upload, Download, Grid3X3, Layers, Sliders, Image as ImageIcon, Box, Activity, Zap, Grid, Trash2, Plus } from 'lucide-react';
-import { generateRandomPoints, computeVoronoi, relaxPoints, getAlternationIndex } from './utils/tessellation';
+import { Camera, Video, Upload, Download, Grid3X3, Layers, Sliders, Image as ImageIcon, Box, Activity, Zap, Grid, Trash2, Plus, FileCode, Printer, Pipette, Square, Diamond, Pentagon, Shapes, Octagon, Hexagon, Dices, Hash, Save, FolderOpen, Blend, Sparkles, LayoutDashboard, Triangle, Move, Undo2, Redo2 } from 'lucide-react';
+import { sceneToSvg, sceneToCellMapSvg } from './utils/svg';
+import { parseMaterialPalette, billOfMaterials, bomToCsv } from './utils/materials';
+import { createRenderer } from './utils/renderer';
+import { getSamplingSize, renderTiledPng, PAPER_SIZES } from './utils/export';
+import { LATTICES, isLatticeMode } from './utils/lattices';
+import { randomSeed } from './utils/random';
+import { BLEND_MODES } from './utils/blending';
+import { DEFAULT_SOURCE_TRANSFORM, readSourcePixels } from './utils/sources';
+import { planPlot, writePlot, PLOT_FORMATS } from './utils/plotter';
+import { planRelief, writeRelief, RELIEF_FORMATS } from './utils/relief';
+import { resizeParams, pipelineParams, DEFAULT_PARAMS, REFERENCE_WIDTH } from './utils/pipeline';
+import { openCamera, openVideoFile, grabFrame, frameToDataUrl } from './utils/live';
+import { setCellOverride, removeSiteOverrides, hasEditablePoints, EDIT_TOOLS } from './utils/editing';
+import { createHistory } from './utils/history';
+import { parseHexColor } from './utils/color';
+import { encodePresetHash, decodePresetHash, PATTERNS } from './utils/presets';
+import { captureKeyframeValues, interpolateKeyframes, applyKeyframeValues, frameTimes, relaxationKeyframes } from './utils/animation';
+import { bitmapToPngBlob, encodeGif, encodeWebm, zipPngSequence } from './utils/encoders';
+import { createProject, parseProject, saveAutosave, loadAutosave, PROJECT_EXTENSION } from './utils/project';
+import ExportDialog from './components/ExportDialog';
+import PalettePanel from './components/PalettePanel';
+import MaterialsPanel from './components/MaterialsPanel';
+import PresetsPanel from './components/PresetsPanel';
+import MaskPanel from './components/MaskPanel';
+import TimelinePanel from './components/TimelinePanel';
+import DensityPanel from './components/DensityPanel';
+import AdaptivePanel from './components/AdaptivePanel';
+import LowPolyPanel from './components/LowPolyPanel';
+import AlignPanel from './components/AlignPanel';
+import OnionSkin from './components/OnionSkin';
+import LatticeTransformPanel from './components/LatticeTransformPanel';
+import OriginHandle from './components/OriginHandle';
+import LiveSource from './components/LiveSource';
+import StylePanel from './components/StylePanel';
+import PlotterPanel from './components/PlotterPanel';
+import ReliefPanel from './components/ReliefPanel';
+import CellEditPanel from './components/CellEditPanel';
+import CellEditor from './components/CellEditor';
+
+const LATTICE_ICONS = {
+    hex: Box,
+    tri: Grid3X3,
+    square: Square,
+    rhombille: Diamond,
+    cairo: Pentagon,
+    'snub-square': Shapes,
+    'truncated-square': Octagon,
+    trihexagonal: Hexagon
+};
+
+const MIN_POINTS = 200;
+const MAX_POINTS = 500000;
+
+// Two significant digits, so the log slider lands on readable counts
+const roundPointCount = (n) => {
+    const unit = 10 ** Math.max(0, Math.floor(Math.log10(n)) - 1);
+    return Math.min(MAX_POINTS, Math.max(MIN_POINTS, Math.round(n / unit) * unit));
+};
+
+const BLEND_LABELS = { none: 'Alt', average: 'Avg', multiply: 'Mult', screen: 'Scrn', difference: 'Diff', luminosity: 'Luma' };
+
+// Source id of the camera or video stream in weights, transforms and palette locks
+const LIVE_SOURCE_ID = 'live';
+// Live previews render smaller to keep the frame rate up
+const LIVE_WIDTH = 640;
+
+const formatProgress = (progress) => {
+    if (!progress) return 'Processing';
+    if (progress.stage === 'relax') return `Relax ${progress.current}/${progress.total}`;
+    return `Drawing ${Math.round((progress.current / progress.total) * 100)}%`;
+};
 
 const App = () => {
     const [images, setImages] = useState([]);
-    const [scale, setScale] = useState(12);
-    const [gap, setGap] = useState(0.5);
-    const [mode, setMode] = useState('hex'); // 'hex', 'tri', 'voronoi', 'stipple'
-    const [pattern, setPattern] = useState('checkerboard'); // 'checkerboard', 'rows', 'cols', 'random'
+    const [scale, setScale] = useState(DEFAULT_PARAMS.scale);
+    const [gap, setGap] = useState(DEFAULT_PARAMS.gap);
+    const [mode, setMode] = useState(DEFAULT_PARAMS.mode); // any key of LATTICES, 'voronoi', 'stipple', 'adaptive', 'lowpoly'
+    const [pattern, setPattern] = useState(DEFAULT_PARAMS.pattern); // 'checkerboard', 'rows', 'cols', 'random'
     const [isProcessing, setIsProcessing] = useState(false);
-    const [stippleIterations, setStippleIterations] = useState(0); // For progressive stippling
+    const [renderError, setRenderError] = useState(null); // Message of the last failed render, cleared by the next good one
+    const [stippleIterations, setStippleIterations] = useState(DEFAULT_PARAMS.stippleIterations); // For progressive stippling
+    const [pointCount, setPointCount] = useState(DEFAULT_PARAMS.pointCount); // Stipple dots
+    const [adaptive, setAdaptive] = useState(DEFAULT_PARAMS.adaptive);
+    const [lowPoly, setLowPoly] = useState(DEFAULT_PARAMS.lowPoly);
+    const [latticeTransform, setLatticeTransform] = useState(DEFAULT_PARAMS.latticeTransform);
+    const [isDraggingOrigin, setIsDraggingOrigin] = useState(false);
+    const [cellStyle, setCellStyle] = useState(DEFAULT_PARAMS.cellStyle); // Gap colour, outline, rounding, bevel, size modulation
+    const [sampling, setSampling] = useState(DEFAULT_PARAMS.sampling); // 'center', 'mean', 'median', 'dominant'
+    const [seed, setSeed] = useState(randomSeed); // Drives Voronoi/stipple points and random alternation
+    const [isExportOpen, setIsExportOpen] = useState(false);
+    const [progress, setProgress] = useState(null); // { stage, current, total } from the render worker
+    const [palette, setPalette] = useState(DEFAULT_PARAMS.palette);
+    const [paletteLocks, setPaletteLocks] = useState(DEFAULT_PARAMS.paletteLocks); // 'all' or image id -> { [slot]: [r, g, b] }
+    const [palettes, setPalettes] = useState([]); // Resolved palettes from the last render
+    const [materialPalette, setMaterialPalette] = useState(DEFAULT_PARAMS.materialPalette); // { name, materials } loaded from file
+    const [materialMetric, setMaterialMetric] = useState(DEFAULT_PARAMS.materialMetric);
+    const [materialError, setMaterialError] = useState(null);
+    const [bom, setBom] = useState(null);
+    const [mask, setMask] = useState(DEFAULT_PARAMS.mask); // For the 'mask' pattern
+    const [maskImage, setMaskImage] = useState(null); // Uploaded mask, same shape as a source
+    const [maskError, setMaskError] = useState(null);
+    const [morph, setMorph] = useState(DEFAULT_PARAMS.morph); // Blend of every cell toward the next source
+    const [density, setDensity] = useState(DEFAULT_PARAMS.density); // Stipple weight map
+    const [densityImage, setDensityImage] = useState(null); // Uploaded density map
+    const [densityError, setDensityError] = useState(null);
+    const [blendMode, setBlendMode] = useState(DEFAULT_PARAMS.blendMode); // Mix every source per cell instead of alternating
+    const [sourceWeights, setSourceWeights] = useState(DEFAULT_PARAMS.sourceWeights); // image id -> 0..1, for blending
+    const [sourceTransforms, setSourceTransforms] = useState(DEFAULT_PARAMS.sourceTransforms); // image id -> fit, offset, scale, rotation
+    const [alignSourceId, setAlignSourceId] = useState(null); // Source shown on top of the onion skin, null when not aligning
+    const [animation, setAnimation] = useState({ duration: 3, fps: 12, easing: 'smooth', keyframes: [] });
+    const [pinnedPoints, setPinnedPoints] = useState(null); // { key, points } restored from a project
+    const [projectError, setProjectError] = useState(null);
+    const [sessionError, setSessionError] = useState(null); // Autosave or session restore failure
+    const [isRestored, setIsRestored] = useState(false); // Last session and deep link applied
+    const [live, setLive] = useState(null); // Camera or looping video, rendered continuously as SRC 1
+    const [liveError, setLiveError] = useState(null);
+    const [imageError, setImageError] = useState(null);
+    const [cellOverrides, setCellOverrides] = useState(DEFAULT_PARAMS.cellOverrides); // Cell key -> { source, fill, hidden }
+    const [isEditingCells, setIsEditingCells] = useState(false);
+    const [cellEdit, setCellEdit] = useState({ tool: 'source', source: 0, color: '#ffffff' }); // Cell editor tool and its value
+    const [canUndo, setCanUndo] = useState(false);
+    const [canRedo, setCanRedo] = useState(false);
 
     const canvasRef = useRef(null);
-    // We'll use a map or array of temporary canvases for pixel data extraction
+    const autosaveRef = useRef({ ready: false, timeout: null }); // ready once the last session has been restored
+    const sceneRef = useRef(null); // Last rendered scene, kept for vector export
+    const renderSceneRef = useRef(null); // Latest renderScene, for the live loop
+    const stepHistoryRef = useRef(null); // Latest stepHistory, for the keyboard shortcuts
+    const previewRendererRef = useRef(null);
+    const exportRendererRef = useRef(null);
+    const historyRef = useRef(null); // Undo/redo of the project parameters and pinned sites
+    const quietRef = useRef(false); // Set while the next change shouldn't become an undo step
+    if (!previewRendererRef.current) previewRendererRef.current = createRenderer();
+    if (!exportRendererRef.current) exportRendererRef.current = createRenderer();
+    if (!historyRef.current) historyRef.current = createHistory();
+
+    // The data URL is kept alongside the decoded image so projects can embed it
+    const loadSource = (dataUrl, id, name) => new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = async () => {
+            // Decoded once here so every render can hand it to the worker
+            try {
+                const bitmap = await createImageBitmap(img);
+                resolve({ src: img, bitmap, id, name, dataUrl });
+            } catch (err) {
+                reject(err);
+            }
+        };
+        img.onerror = () => reject(new Error(`Could not decode ${name || 'source image'}`));
+        img.src = dataUrl;
+    });
 
-    const SQRT3 = Math.sqrt(3);
+    const readDataUrl = (file) => new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+
+    const handleMaskUpload = async (file) => {
+        try {
+            setMaskImage(await loadSource(await readDataUrl(file), 'mask', file.name));
+            setMaskError(null);
+        } catch (err) {
+            setMaskError(err.message);
+        }
+    };
 
-    const handleImageUpload = (e) => {
+    const handleDensityUpload = async (file) => {
+        try {
+            setDensityImage(await loadSource(await readDataUrl(file), 'density', file.name));
+            setDensityError(null);
+        } catch (err) {
+            setDensityError(err.message);
+        }
+    };
+
+    const handleImageUpload = async (e) => {
         const file = e.target.files[0];
-        if (file) {
-            const reader = new FileReader();
-            reader.onload = (event) => {
-                const img = new Image();
-                img.onload = () => {
-                    setImages(prev => [...prev, { src: img, id: Date.now() }]);
-                };
-                img.src = event.target.result;
-            };
-            reader.readAsDataURL(file);
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const source = await loadSource(await readDataUrl(file), Date.now(), file.name);
+            setImages(prev => [...prev, source]);
+            setImageError(null);
+        } catch (err) {
+            setImageError(err.message);
         }
     };
 
+    const startLive = async (open) => {
+        try {
+            setLive(await open());
+            setLiveError(null);
+        } catch (err) {
+            setLiveError(err.message);
+        }
+    };
+
+    const handleVideoUpload = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) startLive(() => openVideoFile(file));
+    };
+
+    const freezeLive = async () => {
+        try {
+            const source = await loadSource(frameToDataUrl(live.video), Date.now(), `${live.name} frame`);
+            setImages(prev => [...prev, source]);
+            setLiveError(null);
+        } catch (err) {
+            setLiveError(err.message);
+        }
+    };
+
+    // The live source comes first and is sampled afresh on every call;
+    // null while it has no frame to give
+    const grabSources = async () => {
+        const stills = images.map(img => img.bitmap);
+        if (!live) return stills;
+        const frame = await grabFrame(live.video);
+        return frame ? [frame, ...stills] : null;
+    };
+
+    const releaseSources = (sources) => {
+        if (live) sources[0].close();
+    };
+
     const removeImage = (id) => {
         setImages(prev => prev.filter(img => img.id !== id));
+        if (alignSourceId === id) setAlignSourceId(null);
     };
 
-    const drawHexagon = (ctx, x, y, size, color) => {
-        ctx.beginPath();
-        for (let i = 0; i < 6; i++) {
-            const angle = (Math.PI / 3) * i + Math.PI / 6;
-            ctx.lineTo(x + size * Math.cos(angle), y + size * Math.sin(angle));
-        }
-        ctx.closePath();
-        ctx.fillStyle = color;
-        ctx.fill();
+    const weightOf = (id) => (sourceWeights[id] === undefined ? 1 : sourceWeights[id]);
+    const transformOf = (id) => sourceTransforms[id] || DEFAULT_SOURCE_TRANSFORM;
+    const setTransform = (id, transform) => setSourceTransforms(prev => ({ ...prev, [id]: transform }));
+
+    const moveLatticeOrigin = (dx, dy) => setLatticeTransform(prev => ({ ...prev, originX: prev.originX + dx, originY: prev.originY + dy }));
+
+    // Functional update: several pointer moves can land between two renders
+    const moveAlignedSource = (dx, dy) => setSourceTransforms(prev => {
+        const transform = prev[alignSourceId] || DEFAULT_SOURCE_TRANSFORM;
+        return { ...prev, [alignSourceId]: { ...transform, offsetX: transform.offsetX + dx, offsetY: transform.offsetY + dy } };
+    });
+
+    const sourceIds = [...(live ? [LIVE_SOURCE_ID] : []), ...images.map(img => img.id)];
+    const sourceCount = sourceIds.length;
+    // Same keys as the locks in `pipelineParams`
+    const paletteKeys = palette.shared ? ['all'] : sourceIds;
+
+    // Saved parameters of a composition, as stored in project files
+    const projectParams = {
+        mode, scale, gap, pattern, stippleIterations, pointCount, adaptive, lowPoly, latticeTransform, cellStyle, sampling, seed, palette, paletteLocks, materialPalette, materialMetric, mask, morph, blendMode, sourceWeights, sourceTransforms, animation, density, cellOverrides,
+        maskImage: maskImage ? maskImage.dataUrl : null,
+        densityImage: densityImage ? densityImage.dataUrl : null
     };
 
-    const drawTriangle = (ctx, x, y, size, color, inverted = false) => {
-        ctx.beginPath();
-        const angleOffset = inverted ? Math.PI : 0;
-        for (let i = 0; i < 3; i++) {
-            const angle = (Math.PI * 2 / 3) * i - Math.PI / 2 + angleOffset;
-            ctx.lineTo(x + size * Math.cos(angle), y + size * Math.sin(angle));
+    // `quiet` changes, such as timeline scrubs and restoring a session, are
+    // taken into the history without becoming undo steps; so are the mask and
+    // density images they load afterwards
+    const applyParams = (params, { quiet = false } = {}) => {
+        if (quiet && Object.keys(params).length > 0) quietRef.current = true;
+        const settle = (setter) => (value) => {
+            if (quiet) quietRef.current = true;
+            setter(value);
+        };
+        if (params.mode !== undefined) setMode(params.mode);
+        if (params.scale !== undefined) setScale(params.scale);
+        if (params.gap !== undefined) setGap(params.gap);
+        if (params.pattern !== undefined) setPattern(params.pattern);
+        if (params.stippleIterations !== undefined) setStippleIterations(params.stippleIterations);
+        if (params.pointCount !== undefined) setPointCount(params.pointCount);
+        if (params.adaptive !== undefined) setAdaptive(params.adaptive);
+        if (params.lowPoly !== undefined) setLowPoly(params.lowPoly);
+        if (params.latticeTransform !== undefined) setLatticeTransform(params.latticeTransform);
+        if (params.cellStyle !== undefined) setCellStyle(params.cellStyle);
+        if (params.sampling !== undefined) setSampling(params.sampling);
+        if (params.seed !== undefined) setSeed(params.seed);
+        if (params.palette !== undefined) setPalette(params.palette);
+        if (params.paletteLocks !== undefined) setPaletteLocks(params.paletteLocks);
+        if (params.materialPalette !== undefined) setMaterialPalette(params.materialPalette);
+        if (params.materialMetric !== undefined) setMaterialMetric(params.materialMetric);
+        if (params.mask !== undefined) setMask(params.mask);
+        if (params.morph !== undefined) setMorph(params.morph);
+        if (params.density !== undefined) setDensity(params.density);
+        if (params.densityImage !== undefined) {
+            if (params.densityImage) {
+                loadSource(params.densityImage, 'density')
+                    .then(settle(setDensityImage))
+                    .then(() => setDensityError(null))
+                    .catch(() => setDensityError('Could not restore the density image'));
+            } else {
+                setDensityImage(null);
+                setDensityError(null);
+            }
+        }
+        if (params.blendMode !== undefined) setBlendMode(params.blendMode);
+        if (params.sourceWeights !== undefined) setSourceWeights(params.sourceWeights);
+        if (params.sourceTransforms !== undefined) setSourceTransforms(params.sourceTransforms);
+        if (params.animation !== undefined) setAnimation(params.animation);
+        if (params.cellOverrides !== undefined) setCellOverrides(params.cellOverrides);
+        if (params.maskImage !== undefined) {
+            if (params.maskImage) {
+                loadSource(params.maskImage, 'mask')
+                    .then(settle(setMaskImage))
+                    .then(() => setMaskError(null))
+                    .catch(() => setMaskError('Could not restore the mask image'));
+            } else {
+                setMaskImage(null);
+                setMaskError(null);
+            }
         }
-        ctx.closePath();
-        ctx.fillStyle = color;
-        ctx.fill();
     };
 
-    const renderScene = async () => {
-        if (images.length === 0 || !canvasRef.current) return;
-        setIsProcessing(true);
+    // Sites restored from a project only apply while the parameters that
+    // generated them are unchanged; otherwise the seed takes over again
+    const makePointsKey = (p, sources) => [p.mode, p.scale, p.seed, p.stippleIterations, p.pointCount, JSON.stringify(p.density), JSON.stringify(p.adaptive), JSON.stringify(p.sourceTransforms), ...sources.map(src => src.id)].join('|');
+    const pointsKey = makePointsKey({ mode, scale, seed, stippleIterations, pointCount, density, adaptive, sourceTransforms }, images);
+    const points = pinnedPoints && pinnedPoints.key === pointsKey ? pinnedPoints.points : null;
 
-        // Use a small timeout to allow UI to update (show loading state)
-        await new Promise(resolve => setTimeout(resolve, 10));
+    // Site tools fall back to the first cell tool in modes without sites
+    const editTool = EDIT_TOOLS[cellEdit.tool].points && !hasEditablePoints(mode) ? 'source' : cellEdit.tool;
 
-        const canvas = canvasRef.current;
-        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    const toggleCellEditing = () => {
+        setIsEditingCells(!isEditingCells);
+        setIsDraggingOrigin(false);
+        setAlignSourceId(null);
+    };
 
-        // Use the first image to define dimensions
-        const primaryImg = images[0].src;
-        const maxWidth = Math.min(window.innerWidth - 48, 1000);
-        const aspect = primaryImg.height / primaryImg.width;
-        const width = maxWidth;
-        const height = maxWidth * aspect;
+    const editCell = (key) => {
+        const { source, color } = cellEdit;
+        const patch = { source: { source }, color: { fill: parseHexColor(color) }, hide: { hidden: true }, reset: null }[editTool];
+        setCellOverrides(prev => setCellOverride(prev, key, patch));
+    };
 
-        canvas.width = width;
-        canvas.height = height;
+    // Editing a site pins every site of the current scene, so the layout
+    // stops following the seed until the generating parameters change
+    const editPoints = (edit) => {
+        const scene = sceneRef.current;
+        if (!scene || !scene.points) return;
+        setPinnedPoints(prev => ({
+            key: pointsKey,
+            points: edit(prev && prev.key === pointsKey ? prev.points : scene.points.map(([x, y]) => [x / scene.width, y / scene.height]))
+        }));
+    };
+    const movePoint = (index, x, y) => editPoints(pts => pts.map((p, i) => (i === index ? [x, y] : p)));
+    const addPoint = (x, y) => editPoints(pts => [...pts, [x, y]]);
+    const removePoint = (index) => {
+        editPoints(pts => pts.filter((_, i) => i !== index));
+        setCellOverrides(prev => removeSiteOverrides(prev, mode, index));
+    };
 
-        // Prepare pixel data for ALL images
-        // We resize all images to match the primary image's render dimensions
-        const imagePixelData = [];
+    // Every change to the saved parameters or the pinned sites is a step;
+    // recording is a no-op while nothing changed
+    const historySnapshot = { ...projectParams, pinnedPoints };
+    const syncHistory = () => {
+        setCanUndo(historyRef.current.canUndo());
+        setCanRedo(historyRef.current.canRedo());
+    };
+    useEffect(() => {
+        historyRef.current.record(historySnapshot, { step: !quietRef.current });
+        quietRef.current = false;
+        syncHistory();
+    });
+
+    const stepHistory = (direction) => {
+        const history = historyRef.current;
+        const from = history.current();
+        const to = direction < 0 ? history.undo() : history.redo();
+        syncHistory();
+        if (!to) return;
+        const { pinnedPoints: pinned, ...params } = to;
+        // Decoding an unchanged mask or density image again would only cost a render
+        if (params.maskImage === from.maskImage) delete params.maskImage;
+        if (params.densityImage === from.densityImage) delete params.densityImage;
+        // Quiet, so the restored state (and a mask or density image decoding
+        // after it) is taken in without becoming a new step
+        applyParams(params, { quiet: true });
+        setPinnedPoints(pinned);
+    };
+
+    stepHistoryRef.current = stepHistory;
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            const key = e.key.toLowerCase();
+            if (key !== 'z' && key !== 'y') return;
+            // Text fields keep their own undo
+            const target = e.target;
+            if (target.isContentEditable || target.tagName === 'TEXTAREA' || (target.tagName === 'INPUT' && !['range', 'checkbox', 'color', 'file'].includes(target.type))) return;
+            e.preventDefault();
+            stepHistoryRef.current(key === 'y' || e.shiftKey ? 1 : -1);
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, []);
 
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = width;
-        tempCanvas.height = height;
-        const tempCtx = tempCanvas.getContext('2d', { willReadFrequently: true });
+    // Source weights drive blending and the weighted stipple density
+    const showWeights = sourceCount > 1 && (blendMode !== 'none' || (mode === 'stipple' && density.source === 'weighted'));
 
-        for (const imgObj of images) {
-            tempCtx.clearRect(0, 0, width, height);
-            tempCtx.drawImage(imgObj.src, 0, 0, width, height);
-            imagePixelData.push(tempCtx.getImageData(0, 0, width, height).data);
+    // Everything the worker pipeline needs besides the sources and output size
+    const sceneParams = { ...pipelineParams(projectParams, sourceIds), points };
+    const paletteParams = sceneParams.palette;
+    const maskSource = pattern === 'mask' && mask.type === 'image' && maskImage ? maskImage.bitmap : null;
+    const densitySource = mode === 'stipple' && density.source === 'image' && densityImage ? densityImage.bitmap : null;
+
+    const loadMaterialPalette = async (file) => {
+        try {
+            setMaterialPalette(parseMaterialPalette(await file.text(), file.name));
+            setMaterialError(null);
+        } catch (err) {
+            setMaterialError(err.message);
         }
+    };
 
-        // Fill background
-        ctx.fillStyle = '#0a0a0a';
-        ctx.fillRect(0, 0, width, height);
-
-        if (mode === 'voronoi' || mode === 'stipple') {
-            // Voronoi / Stippling Logic
-            const pointCount = mode === 'stipple' ? 2000 : Math.floor((width * height) / (scale * scale * 2));
-            let points = generateRandomPoints(width, height, pointCount);
-
-            // Relax points if stippling
-            if (mode === 'stipple' && stippleIterations > 0) {
-                let currentPoints = points;
-                // Use the primary image (index 0) for density map for now, or blend?
-                // Let's use image 0 for density.
-                // Multi-image stippling is complex (whose density to use?). 
-                // Creating a weighted map could work, but for now allow user to pick Alternation for COLOR.
-                // Density will follow image 0.
-                let voronoi;
-                for (let i = 0; i < stippleIterations; i++) {
-                    voronoi = computeVoronoi(currentPoints, width, height);
-                    currentPoints = relaxPoints(voronoi, imagePixelData[0], width, height);
-                }
-                points = currentPoints;
-            }
+    const lockSwatch = (paletteIdx, slot, color) => {
+        const key = paletteKeys[paletteIdx];
+        setPaletteLocks(prev => {
+            const locks = { ...prev[key] };
+            if (color) locks[slot] = color;
+            else delete locks[slot];
+            return { ...prev, [key]: locks };
+        });
+    };
 
-            const voronoi = computeVoronoi(points, width, height);
-
-            // Draw cells
-            for (let i = 0; i < points.length; i++) {
-                const [x, y] = points[i];
-
-                // Determine which image to sample from based on position + alternation
-                // Using 'pixel' coordinates roughly mapped to a grid for alternation pattern consistency
-                const colIdx = Math.floor(x / (scale * 2));
-                const rowIdx = Math.floor(y / (scale * 2));
-
-                const imgIdx = getAlternationIndex(colIdx, rowIdx, pattern, images.length);
-                const pixels = imagePixelData[imgIdx];
-
-                const sampleX = Math.max(0, Math.min(width - 1, Math.floor(x)));
-                const sampleY = Math.max(0, Math.min(height - 1, Math.floor(y)));
-                const idx = (sampleY * width + sampleX) * 4;
-                const color = `rgb(${pixels[idx]},${pixels[idx + 1]},${pixels[idx + 2]})`;
-
-                ctx.beginPath();
-                if (mode === 'stipple') {
-                    // Draw dots
-                    // Size could be relative to brightness too? For now fixed or scale-based.
-                    // For stippling, usually small dots.
-                    const brightness = (pixels[idx] + pixels[idx + 1] + pixels[idx + 2]) / (3 * 255);
-                    const dotSize = mode === 'stipple' ? Math.max(0.5, (1 - brightness) * (scale / 4)) : 1.5;
-                    ctx.arc(x, y, dotSize, 0, Math.PI * 2);
-                } else {
-                    // Draw Voronoi cells
-                    voronoi.renderCell(i, ctx);
-                }
-                ctx.fillStyle = color;
-                if (mode !== 'stipple') ctx.fill();
-                else ctx.fill();
-
-                // Stroke for voronoi if gap > 0
-                if (mode === 'voronoi' && gap > 0) {
-                    ctx.lineWidth = gap;
-                    ctx.strokeStyle = '#000';
-                    ctx.stroke();
-                }
-            }
+    const buildProject = (scene) => createProject({
+        images,
+        params: projectParams,
+        points: scene && scene.points ? scene.points.map(([x, y]) => [x / scene.width, y / scene.height]) : null
+    });
 
-        } else {
-            // Hex / Tri Logic
-            const hSpacing = mode === 'hex' ? scale * SQRT3 : scale; // simplified for tri width
-            const vSpacing = mode === 'hex' ? scale * 1.5 : scale * Math.sin(Math.PI / 3);
+    const restoreProject = async (project, options) => {
+        const sources = await Promise.all(project.sources.map(src => loadSource(src.dataUrl, src.id, src.name)));
+        applyParams(project.params, options);
+        setImages(sources);
+        const p = { ...projectParams, ...project.params };
+        setPinnedPoints(project.points ? {
+            key: makePointsKey(p, sources),
+            points: project.points
+        } : null);
+    };
 
-            if (mode === 'hex') {
-                for (let row = -1; row < (height / vSpacing) + 1; row++) {
-                    for (let col = -1; col < (width / hSpacing) + 1; col++) {
-                        const x = col * hSpacing + (row % 2 === 0 ? 0 : hSpacing / 2);
-                        const y = row * vSpacing;
+    const saveProject = () => {
+        const json = JSON.stringify(buildProject(sceneRef.current));
+        downloadBlob(new Blob([json], { type: 'application/json' }), `morph-${Date.now()}${PROJECT_EXTENSION}`);
+    };
 
-                        const imgIdx = getAlternationIndex(col, row, pattern, images.length);
-                        const pixels = imagePixelData[imgIdx];
+    const openProject = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            await restoreProject(parseProject(await file.text()));
+            setProjectError(null);
+        } catch (err) {
+            setProjectError(err.message);
+        }
+    };
 
-                        const sampleX = Math.max(0, Math.min(width - 1, Math.floor(x)));
-                        const sampleY = Math.max(0, Math.min(height - 1, Math.floor(y)));
-                        const idx = (sampleY * width + sampleX) * 4;
-                        const color = `rgb(${pixels[idx]},${pixels[idx + 1]},${pixels[idx + 2]})`;
+    // Debounced so dragging a slider doesn't write the whole project on every frame
+    const scheduleAutosave = (scene) => {
+        const autosave = autosaveRef.current;
+        if (!autosave.ready) return;
+        clearTimeout(autosave.timeout);
+        autosave.timeout = setTimeout(() => {
+            saveAutosave(buildProject(scene))
+                .then(() => setSessionError(null))
+                .catch(err => setSessionError(`Autosave failed: ${err.message}`));
+        }, 1000);
+    };
 
-                        drawHexagon(ctx, x, y, scale - gap, color);
-                    }
-                }
-            } else {
-                // Triangles
-                const tHeight = scale * Math.sin(Math.PI / 3);
-                const tWidth = scale;
+    useEffect(() => {
+        loadAutosave()
+            .then(project => project && project.sources.length > 0 && restoreProject(project, { quiet: true }))
+            .catch(err => setSessionError(`Could not restore last session: ${err.message}`))
+            .finally(() => {
+                autosaveRef.current.ready = true;
+                // A deep link wins over the restored session's parameters
+                applyParams(decodePresetHash(window.location.hash), { quiet: true });
+                // Syncs the address bar once even if the hash ends up unchanged
+                setIsRestored(true);
+            });
 
-                for (let y = 0; y < height + tHeight; y += tHeight) {
-                    const row = Math.floor(y / tHeight);
-                    for (let x = 0; x < width + tWidth; x += tWidth / 2) {
-                        const col = Math.floor(x / (tWidth / 2));
-                        const inverted = (row + col) % 2 !== 0;
+        const handleHashChange = () => applyParams(decodePresetHash(window.location.hash));
+        window.addEventListener('hashchange', handleHashChange);
+        return () => window.removeEventListener('hashchange', handleHashChange);
+    }, []);
 
-                        const imgIdx = getAlternationIndex(col, row, pattern, images.length);
-                        const pixels = imagePixelData[imgIdx];
+    // Keep the URL in sync so the address bar is always a shareable link
+    const presetHash = encodePresetHash({ mode, scale, gap, pattern, stippleIterations, pointCount, seed });
+    useEffect(() => {
+        if (!isRestored || window.location.hash === presetHash) return;
+        window.history.replaceState(null, '', presetHash);
+    }, [presetHash, isRestored]);
 
-                        const sampleX = Math.max(0, Math.min(width - 1, Math.floor(x)));
-                        const sampleY = Math.max(0, Math.min(height - 1, Math.floor(y)));
-                        const idx = (sampleY * width + sampleX) * 4;
-                        const color = `rgb(${pixels[idx]},${pixels[idx + 1]},${pixels[idx + 2]})`;
+    const copyLink = () => {
+        const url = new URL(window.location.href);
+        url.hash = presetHash;
+        return navigator.clipboard.writeText(url.toString());
+    };
 
-                        drawTriangle(ctx, x, y, scale / SQRT3 + 0.5 - gap, color, inverted);
-                    }
-                }
-            }
+    const renderScene = async () => {
+        const renderer = previewRendererRef.current;
+        if (sourceCount === 0 || !canvasRef.current) {
+            renderer.cancel();
+            setIsProcessing(false);
+            scheduleAutosave(null);
+            return;
+        }
+        const sources = await grabSources();
+        if (!sources) return;
+        setIsProcessing(true);
+        setProgress(null);
+
+        // Use the first source to define dimensions
+        const maxWidth = Math.min(window.innerWidth - 48, live ? LIVE_WIDTH : REFERENCE_WIDTH);
+        const aspect = sources[0].height / sources[0].width;
+        const width = maxWidth;
+        const height = Math.round(maxWidth * aspect);
+
+        // Everything heavy (pixel extraction, relaxation, drawing) happens in
+        // the worker; a newer render cancels this one and resolves it with null
+        let result;
+        try {
+            result = await renderer.render({
+                sources,
+                maskSource,
+                densitySource,
+                width,
+                height,
+                params: sceneParams
+            }, setProgress);
+        } catch (err) {
+            setRenderError(err.message);
+            setIsProcessing(false);
+            return;
+        } finally {
+            releaseSources(sources);
+        }
+        if (!result) return;
+
+        const canvas = canvasRef.current;
+        if (canvas) {
+            canvas.width = width;
+            canvas.height = height;
+            canvas.getContext('2d').drawImage(result.bitmap, 0, 0);
         }
+        result.bitmap.close();
+        sceneRef.current = result.scene;
+        setRenderError(null);
+        setPalettes(result.palettes || []);
+        setBom(result.scene.materials ? billOfMaterials(result.scene) : null);
+        // Live sites belong to a passing frame, not to the saved sources
+        scheduleAutosave(live ? null : result.scene);
+
         setIsProcessing(false);
+        setProgress(null);
     };
 
     useEffect(() => {
@@ -216,16 +565,216 @@ const App = () => {
             renderScene();
         }, 50);
         return () => clearTimeout(timeout);
-    }, [scale, gap, mode, images, pattern, stippleIterations]);
+    }, [scale, gap, mode, images, live, pattern, stippleIterations, pointCount, adaptive, lowPoly, latticeTransform, cellStyle, cellOverrides, points, sampling, seed, palette, paletteLocks, materialPalette, materialMetric, mask, maskImage, morph, blendMode, sourceWeights, sourceTransforms, density, densityImage]);
 
-    const saveImage = () => {
-        if (!canvasRef.current) return;
+    // Live sources re-render back to back: the next frame is grabbed as soon
+    // as the previous one is on screen
+    renderSceneRef.current = renderScene;
+    useEffect(() => {
+        if (!live) return;
+        let stopped = false;
+        let frame = null;
+        const tick = async () => {
+            await renderSceneRef.current();
+            if (!stopped) frame = requestAnimationFrame(tick);
+        };
+        frame = requestAnimationFrame(tick);
+        return () => {
+            stopped = true;
+            cancelAnimationFrame(frame);
+            live.stop();
+        };
+    }, [live]);
+
+    useEffect(() => {
+        const preview = previewRendererRef.current;
+        const exporter = exportRendererRef.current;
+        return () => {
+            preview.dispose();
+            exporter.dispose();
+        };
+    }, []);
+
+    const downloadUrl = (href, filename) => {
         const link = document.createElement('a');
-        link.download = `morph-${mode}-${Date.now()}.png`;
-        link.href = canvasRef.current.toDataURL();
+        link.download = filename;
+        link.href = href;
         link.click();
     };
 
+    const saveImage = () => {
+        if (!canvasRef.current) return;
+        downloadUrl(canvasRef.current.toDataURL(), `morph-${mode}-${Date.now()}.png`);
+    };
+
+    const downloadBlob = (blob, filename) => {
+        const url = URL.createObjectURL(blob);
+        downloadUrl(url, filename);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    };
+
+    const saveSvg = () => {
+        if (!sceneRef.current) return;
+        downloadBlob(new Blob([sceneToSvg(sceneRef.current)], { type: 'image/svg+xml' }), `morph-${mode}-${Date.now()}.svg`);
+    };
+
+    const saveBom = () => {
+        if (!bom) return;
+        downloadBlob(new Blob([bomToCsv(bom)], { type: 'text/csv' }), `morph-bom-${Date.now()}.csv`);
+    };
+
+    const saveCellMap = () => {
+        if (!bom || !sceneRef.current) return;
+        downloadBlob(new Blob([sceneToCellMapSvg(sceneRef.current, bom)], { type: 'image/svg+xml' }), `morph-cellmap-${Date.now()}.svg`);
+    };
+
+    // Colour pens snap to the posterize palette of the last render
+    const plotSettings = (settings) => ({ ...settings, palette: palette.enabled ? palettes.flat() : null });
+
+    const estimatePlot = (settings) => {
+        if (!sceneRef.current) return null;
+        return planPlot(sceneRef.current, PAPER_SIZES[settings.paper], plotSettings(settings)).stats;
+    };
+
+    const savePlot = (settings) => {
+        if (!sceneRef.current) return null;
+        const plan = planPlot(sceneRef.current, PAPER_SIZES[settings.paper], plotSettings(settings));
+        const { extension, type } = PLOT_FORMATS[settings.format];
+        downloadBlob(new Blob([writePlot(plan, settings)], { type }), `morph-plot-${mode}-${Date.now()}.${extension}`);
+        return plan.stats;
+    };
+
+    const saveRelief = async (settings) => {
+        const scene = sceneRef.current;
+        if (!scene) return null;
+        let heightPixels = null;
+        if (settings.heightBy === 'source') {
+            const sources = await grabSources();
+            if (!sources) return null;
+            try {
+                heightPixels = readSourcePixels([sources[settings.source]], scene.width, scene.height, [sceneParams.transforms[settings.source]])[0];
+            } finally {
+                releaseSources(sources);
+            }
+        }
+        const relief = planRelief(scene, settings, heightPixels);
+        const { extension, type } = RELIEF_FORMATS[settings.format];
+        const name = `morph-relief-${mode}-${Date.now()}`;
+        downloadBlob(new Blob([writeRelief(relief, settings, name)], { type }), `${name}.${extension}`);
+        return relief.stats;
+    };
+
+    const saveHighRes = async ({ width, height, dpi }, onProgress) => {
+        const preview = sceneRef.current;
+        if (!preview) return;
+
+        // Re-run the pipeline at a higher sampling resolution, scaling the
+        // cell size with it so the poster keeps the same layout as the preview
+        const sources = await grabSources();
+        if (!sources) return;
+        const sampling = getSamplingSize(width, height, preview.width, sources[0].width);
+        const factor = sampling.width / preview.width;
+        let result;
+        try {
+            result = await exportRendererRef.current.render({
+                sources,
+                maskSource,
+                densitySource,
+                width: sampling.width,
+                height: sampling.height,
+                params: {
+                    ...resizeParams(sceneParams, factor),
+                    // Reuse the preview palettes so the print uses exactly the same inks
+                    palette: { ...paletteParams, palettes: palettes.length ? palettes : undefined }
+                },
+                output: 'scene'
+            }, ({ stage, current, total }) => {
+                if (stage === 'relax') onProgress(0.3 * current / total);
+            });
+        } finally {
+            releaseSources(sources);
+        }
+        if (!result) return;
+
+        const blob = await renderTiledPng(result.scene, width, height, {
+            dpi,
+            onProgress: (done) => onProgress(0.3 + 0.7 * done)
+        });
+        downloadBlob(blob, `morph-${mode}-${width}x${height}.png`);
+    };
+
+    const addKeyframe = (time) => {
+        const keyframe = { time, values: captureKeyframeValues({ scale, gap, morph, stippleIterations, pointCount, adaptive, lowPoly, latticeTransform, mask }) };
+        setAnimation(prev => ({
+            ...prev,
+            keyframes: [...prev.keyframes.filter(k => Math.abs(k.time - time) > 1e-6), keyframe].sort((a, b) => a.time - b.time)
+        }));
+    };
+
+    const scrubTimeline = (time) => {
+        const values = interpolateKeyframes(animation.keyframes, time, animation.easing);
+        if (!values) return;
+        const params = applyKeyframeValues({ mask, adaptive, lowPoly, latticeTransform }, values);
+        applyParams({ ...params, mask: values.maskAngle === undefined ? mask : { ...params.mask, angle: Math.round(values.maskAngle) } }, { quiet: true });
+    };
+
+    const keyRelaxation = () => {
+        const iterations = stippleIterations || 10;
+        const values = captureKeyframeValues({ scale, gap, morph, stippleIterations, pointCount, adaptive, lowPoly, latticeTransform, mask });
+        setAnimation(prev => ({
+            ...prev,
+            easing: 'linear',
+            duration: iterations / prev.fps,
+            keyframes: relaxationKeyframes(values, iterations, prev.fps)
+        }));
+    };
+
+    const saveAnimation = async ({ format, width }, onProgress) => {
+        const preview = sceneRef.current;
+        if (!preview || animation.keyframes.length === 0) return;
+
+        // Frames keep the preview's layout at a different size, like the print export
+        const factor = width / preview.width;
+        const height = Math.round(preview.height * factor);
+        const times = frameTimes(animation.duration, animation.fps);
+        // A live source is held on the frame the export started at
+        const sources = await grabSources();
+        if (!sources) return;
+        const frames = [];
+        try {
+            for (let i = 0; i < times.length; i++) {
+                const values = interpolateKeyframes(animation.keyframes, times[i], animation.easing);
+                const params = applyKeyframeValues(sceneParams, values);
+                const result = await exportRendererRef.current.render({
+                    sources,
+                    maskSource,
+                    densitySource,
+                    width,
+                    height,
+                    params: {
+                        ...resizeParams(params, factor),
+                        // Regenerated from the seed every frame, so relaxation replays from the same start
+                        points: null,
+                        // Fixed inks so posterized frames don't flicker
+                        palette: { ...paletteParams, palettes: palettes.length ? palettes : undefined }
+                    }
+                });
+                if (!result) return;
+                frames.push(await bitmapToPngBlob(result.bitmap));
+                result.bitmap.close();
+                onProgress(0.7 * (i + 1) / times.length);
+            }
+        } finally {
+            releaseSources(sources);
+        }
+
+        const onEncode = (done) => onProgress(0.7 + 0.3 * done);
+        const name = `morph-${mode}-${Date.now()}`;
+        if (format === 'gif') downloadBlob(await encodeGif(frames, animation.fps, onEncode), `${name}.gif`);
+        else if (format === 'webm') downloadBlob(await encodeWebm(frames, animation.fps, onEncode), `${name}.webm`);
+        else downloadBlob(await zipPngSequence(frames, onEncode), `${name}-frames.zip`);
+    };
+
     return (
         <div className="min-h-screen bg-[#050505] text-zinc-300 font-mono p-6 flex flex-col items-center">
             {/* Header */}
@@ -234,12 +783,13 @@ const App = () => {
                     <h1 className="text-xl tracking-widest text-white uppercase font-bold">Lattice Morph</h1>
                     <p className="text-[10px] text-zinc-500 mt-1 uppercase tracking-widest">Multi-Source Tessellation // v3.0</p>
                 </div>
-                <div className="flex gap-2">
+                <div className="flex flex-wrap justify-end gap-2">
                     {[
-                        { id: 'hex', icon: Box, label: 'Hex' },
-                        { id: 'tri', icon: Grid3X3, label: 'Tri' },
+                        ...Object.entries(LATTICES).map(([id, lattice]) => ({ id, icon: LATTICE_ICONS[id], label: lattice.label })),
                         { id: 'voronoi', icon: Activity, label: 'Vor' },
-                        { id: 'stipple', icon: Zap, label: 'Stip' }
+                        { id: 'stipple', icon: Zap, label: 'Stip' },
+                        { id: 'adaptive', icon: LayoutDashboard, label: 'Adapt' },
+                        { id: 'lowpoly', icon: Triangle, label: 'Poly' }
                     ].map(m => (
                         <button
                             key={m.id}
@@ -259,39 +809,123 @@ const App = () => {
                 {/* Left Sidebar: Controls */}
                 <div className="lg:col-span-1 space-y-8 order-2 lg:order-1">
 
+                    {/* Project */}
+                    <div className="space-y-2">
+                        <div className="flex gap-2">
+                            <button
+                                onClick={saveProject}
+                                disabled={images.length === 0}
+                                className="flex-1 py-2 bg-zinc-900 hover:bg-zinc-800 disabled:opacity-40 rounded border border-zinc-800 text-[10px] uppercase tracking-widest flex items-center justify-center gap-2 transition-colors"
+                            >
+                                <Save size={12} /> Save
+                            </button>
+                            <label className="flex-1 py-2 bg-zinc-900 hover:bg-zinc-800 rounded border border-zinc-800 text-[10px] uppercase tracking-widest flex items-center justify-center gap-2 cursor-pointer transition-colors">
+                                <FolderOpen size={12} /> Open
+                                <input type="file" className="hidden" onChange={openProject} accept={`${PROJECT_EXTENSION},application/json`} />
+                            </label>
+                            <button
+                                onClick={() => stepHistory(-1)}
+                                disabled={!canUndo}
+                                title="Undo (Ctrl+Z)"
+                                className="px-3 bg-zinc-900 hover:bg-zinc-800 disabled:opacity-40 rounded border border-zinc-800 transition-colors"
+                            >
+                                <Undo2 size={12} />
+                            </button>
+                            <button
+                                onClick={() => stepHistory(1)}
+                                disabled={!canRedo}
+                                title="Redo (Ctrl+Shift+Z)"
+                                className="px-3 bg-zinc-900 hover:bg-zinc-800 disabled:opacity-40 rounded border border-zinc-800 transition-colors"
+                            >
+                                <Redo2 size={12} />
+                            </button>
+                        </div>
+                        {projectError && <p className="text-[10px] text-red-400">{projectError}</p>}
+                        {sessionError && <p className="text-[10px] text-red-400">{sessionError}</p>}
+                    </div>
+
+                    <PresetsPanel onApply={applyParams} onCopyLink={copyLink} />
+
                     {/* Image Library */}
                     <div className="bg-zinc-900/50 p-4 rounded-lg border border-zinc-800">
                         <div className="flex justify-between items-center mb-4">
                             <h3 className="text-[10px] uppercase tracking-widest text-zinc-500 flex items-center gap-2">
                                 <ImageIcon size={12} /> Source Library
                             </h3>
-                            <label className="cursor-pointer hover:text-indigo-400 transition-colors">
-                                <Plus size={16} />
-                                <input type="file" className="hidden" onChange={handleImageUpload} accept="image/*" />
-                            </label>
+                            <div className="flex items-center gap-3">
+                                <button
+                                    onClick={() => setAlignSourceId(alignSourceId === null && images.length > 0 ? images[0].id : null)}
+                                    disabled={images.length === 0}
+                                    title="Align sources"
+                                    className={`transition-colors disabled:opacity-40 ${alignSourceId !== null ? 'text-indigo-400' : 'hover:text-indigo-400'}`}
+                                >
+                                    <Move size={14} />
+                                </button>
+                                <button
+                                    onClick={() => (live ? setLive(null) : startLive(openCamera))}
+                                    title={live ? 'Stop live source' : 'Live camera'}
+                                    className={`transition-colors ${live ? 'text-red-400' : 'hover:text-indigo-400'}`}
+                                >
+                                    <Camera size={14} />
+                                </button>
+                                <label className="cursor-pointer hover:text-indigo-400 transition-colors" title="Looping video as a live source">
+                                    <Video size={14} />
+                                    <input type="file" className="hidden" onChange={handleVideoUpload} accept="video/*" />
+                                </label>
+                                <label className="cursor-pointer hover:text-indigo-400 transition-colors">
+                                    <Plus size={16} />
+                                    <input type="file" className="hidden" onChange={handleImageUpload} accept="image/*" />
+                                </label>
+                            </div>
                         </div>
 
                         <div className="grid grid-cols-2 gap-2 max-h-48 overflow-y-auto scrollbar-thin">
+                            {live && <LiveSource source={live} onFreeze={freezeLive} onStop={() => setLive(null)} />}
                             {images.map((img, idx) => (
-                                <div key={img.id} className="relative group aspect-square rounded overflow-hidden border border-zinc-700 bg-black">
-                                    <img src={img.src.src} className="w-full h-full object-cover opacity-70 group-hover:opacity-100 transition-opacity" />
-                                    <button
-                                        onClick={() => removeImage(img.id)}
-                                        className="absolute top-1 right-1 bg-red-500/80 text-white p-1 rounded opacity-0 group-hover:opacity-100 transition-opacity"
-                                    >
-                                        <Trash2 size={10} />
-                                    </button>
-                                    <div className="absolute bottom-0 left-0 bg-black/60 text-[8px] px-1 text-white">
-                                        SRC {idx + 1}
+                                <div key={img.id} className="space-y-1">
+                                    <div className={`relative group aspect-square rounded overflow-hidden border bg-black ${alignSourceId === img.id ? 'border-indigo-500' : 'border-zinc-700'}`}>
+                                        <img
+                                            src={img.src.src}
+                                            onClick={() => alignSourceId !== null && setAlignSourceId(img.id)}
+                                            className={`w-full h-full object-cover opacity-70 group-hover:opacity-100 transition-opacity ${alignSourceId !== null ? 'cursor-pointer' : ''}`}
+                                        />
+                                        <button
+                                            onClick={() => removeImage(img.id)}
+                                            className="absolute top-1 right-1 bg-red-500/80 text-white p-1 rounded opacity-0 group-hover:opacity-100 transition-opacity"
+                                        >
+                                            <Trash2 size={10} />
+                                        </button>
+                                        <div className="absolute bottom-0 left-0 bg-black/60 text-[8px] px-1 text-white">
+                                            SRC {idx + 1 + (live ? 1 : 0)}
+                                        </div>
                                     </div>
+                                    {showWeights && (
+                                        <input
+                                            type="range" min="0" max="1" step="0.05" value={weightOf(img.id)}
+                                            onChange={(e) => setSourceWeights(prev => ({ ...prev, [img.id]: Number(e.target.value) }))}
+                                            title={`Weight ${Math.round(weightOf(img.id) * 100)}%`}
+                                            className="w-full appearance-none bg-zinc-800 h-1 rounded-full accent-indigo-500"
+                                        />
+                                    )}
                                 </div>
                             ))}
-                            {images.length === 0 && (
+                            {sourceCount === 0 && (
                                 <div className="col-span-2 aspect-square border border-dashed border-zinc-800 rounded flex items-center justify-center">
                                     <span className="text-[10px] text-zinc-600">No Sources</span>
                                 </div>
                             )}
                         </div>
+
+                        {liveError && <p className="text-[10px] text-red-400 mt-2">{liveError}</p>}
+                        {imageError && <p className="text-[10px] text-red-400 mt-2">{imageError}</p>}
+
+                        {alignSourceId !== null && (
+                            <AlignPanel
+                                label={`SRC ${images.findIndex(img => img.id === alignSourceId) + 1 + (live ? 1 : 0)}`}
+                                transform={transformOf(alignSourceId)}
+                                onChange={(transform) => setTransform(alignSourceId, transform)}
+                            />
+                        )}
                     </div>
 
                     {/* Parameters */}
@@ -320,6 +954,72 @@ const App = () => {
                             />
                         </div>
 
+                        <div className="space-y-3">
+                            <div className="text-[10px] uppercase tracking-widest text-zinc-500 flex items-center gap-2">
+                                <Pipette size={12} /> Sampling
+                            </div>
+                            <div className="grid grid-cols-4 gap-1">
+                                {[
+                                    { id: 'center', label: 'Ctr' },
+                                    { id: 'mean', label: 'Mean' },
+                                    { id: 'median', label: 'Med' },
+                                    { id: 'dominant', label: 'Dom' }
+                                ].map(m => (
+                                    <button
+                                        key={m.id}
+                                        onClick={() => setSampling(m.id)}
+                                        title={m.id}
+                                        className={`py-1.5 text-[9px] uppercase rounded border transition-all ${sampling === m.id ? 'bg-indigo-900/30 border-indigo-500 text-indigo-300' : 'bg-transparent border-zinc-700 text-zinc-400 hover:border-zinc-500'}`}
+                                    >
+                                        {m.label}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+
+                        <div className="flex items-center justify-between gap-2 text-[10px] uppercase tracking-widest text-zinc-500">
+                            <label className="flex items-center gap-2"><Hash size={12} /> Seed</label>
+                            <div className="flex items-center gap-2">
+                                <input
+                                    type="number" min="0" value={seed}
+                                    onChange={(e) => setSeed(Math.max(0, Math.floor(Number(e.target.value))) || 0)}
+                                    className="w-24 bg-zinc-800 text-zinc-200 rounded px-2 py-1 text-right"
+                                />
+                                <button onClick={() => setSeed(randomSeed())} title="Reroll" className="p-1 rounded border border-zinc-700 hover:border-indigo-500 hover:text-indigo-300 transition-colors">
+                                    <Dices size={12} />
+                                </button>
+                            </div>
+                        </div>
+
+                        {sourceCount > 1 && blendMode === 'none' && (
+                            <div className="space-y-3">
+                                <div className="flex justify-between text-[10px] uppercase tracking-widest text-zinc-500">
+                                    <label className="flex items-center gap-2"><Blend size={12} /> Morph</label>
+                                    <span>{Math.round(morph * 100)}%</span>
+                                </div>
+                                <input
+                                    type="range" min="0" max="1" step="0.01" value={morph}
+                                    onChange={(e) => setMorph(Number(e.target.value))}
+                                    className="w-full appearance-none bg-zinc-800 h-1 rounded-full accent-indigo-500"
+                                />
+                            </div>
+                        )}
+
+                        {mode === 'stipple' && (
+                            <div className="space-y-3">
+                                <div className="flex justify-between text-[10px] uppercase tracking-widest text-zinc-500">
+                                    <label className="flex items-center gap-2"><Sparkles size={12} /> Points</label>
+                                    <span>{pointCount.toLocaleString()}</span>
+                                </div>
+                                {/* Logarithmic so both a few hundred and a few hundred thousand dots are reachable */}
+                                <input
+                                    type="range" min={Math.log10(MIN_POINTS)} max={Math.log10(MAX_POINTS)} step="0.01" value={Math.log10(pointCount)}
+                                    onChange={(e) => setPointCount(roundPointCount(10 ** Number(e.target.value)))}
+                                    className="w-full appearance-none bg-zinc-800 h-1 rounded-full accent-cyan-500"
+                                />
+                            </div>
+                        )}
+
                         {mode === 'stipple' && (
                             <div className="space-y-3">
                                 <div className="flex justify-between text-[10px] uppercase tracking-widest text-zinc-500">
@@ -335,39 +1035,156 @@ const App = () => {
                         )}
                     </div>
 
+                    {isLatticeMode(mode) && (
+                        <LatticeTransformPanel
+                            transform={latticeTransform}
+                            onChange={setLatticeTransform}
+                            isDragging={isDraggingOrigin}
+                            onToggleDrag={() => setIsDraggingOrigin(!isDraggingOrigin)}
+                        />
+                    )}
+
+                    {mode === 'adaptive' && <AdaptivePanel settings={adaptive} onChange={setAdaptive} />}
+
+                    {mode === 'lowpoly' && <LowPolyPanel settings={lowPoly} onChange={setLowPoly} />}
+
+                    {mode === 'stipple' && sourceCount > 0 && (
+                        <DensityPanel
+                            settings={density}
+                            onChange={setDensity}
+                            sourceCount={sourceCount}
+                            densityImage={densityImage}
+                            onDensityUpload={handleDensityUpload}
+                            error={densityError}
+                        />
+                    )}
+
+                    {sourceCount > 0 && (
+                        <CellEditPanel
+                            isEditing={isEditingCells}
+                            onToggle={toggleCellEditing}
+                            edit={{ ...cellEdit, tool: editTool }}
+                            onChange={setCellEdit}
+                            pointTools={hasEditablePoints(mode)}
+                            sourceCount={sourceCount}
+                            overrideCount={Object.keys(cellOverrides).length}
+                            onClear={() => setCellOverrides({})}
+                        />
+                    )}
+
+                    <StylePanel style={cellStyle} onChange={setCellStyle} />
+
+                    <PalettePanel
+                        settings={palette}
+                        onChange={setPalette}
+                        palettes={palette.enabled ? palettes : []}
+                        locks={paletteParams.locks}
+                        labels={palette.shared ? ['All Sources'] : sourceIds.map((_, idx) => `SRC ${idx + 1}`)}
+                        onLock={lockSwatch}
+                    />
+
+                    <MaterialsPanel
+                        palette={materialPalette}
+                        metric={materialMetric}
+                        bom={bom}
+                        error={materialError}
+                        onLoad={loadMaterialPalette}
+                        onClear={() => setMaterialPalette(null)}
+                        onMetricChange={setMaterialMetric}
+                        onExportBom={saveBom}
+                        onExportMap={saveCellMap}
+                    />
+
                     {/* Alternation Pattern */}
-                    {images.length > 1 && (
+                    {sourceCount > 1 && (
                         <div className="bg-zinc-900/50 p-4 rounded-lg border border-zinc-800">
                             <h3 className="text-[10px] uppercase tracking-widest text-zinc-500 mb-3 flex items-center gap-2">
                                 <Grid size={12} /> Alternation Logic
                             </h3>
-                            <div className="grid grid-cols-2 gap-2">
-                                {['checkerboard', 'rows', 'cols', 'random'].map(p => (
+                            <div className="grid grid-cols-3 gap-1 mb-3">
+                                {BLEND_MODES.map(b => (
                                     <button
-                                        key={p}
-                                        onClick={() => setPattern(p)}
-                                        className={`px-3 py-2 text-[10px] uppercase rounded border transition-all ${pattern === p ? 'bg-indigo-900/30 border-indigo-500 text-indigo-300' : 'bg-transparent border-zinc-700 text-zinc-400 hover:border-zinc-500'}`}
+                                        key={b}
+                                        onClick={() => setBlendMode(b)}
+                                        title={b === 'none' ? 'Alternate between sources' : `Blend sources: ${b}`}
+                                        className={`py-1.5 text-[9px] uppercase rounded border transition-all ${blendMode === b ? 'bg-indigo-900/30 border-indigo-500 text-indigo-300' : 'bg-transparent border-zinc-700 text-zinc-400 hover:border-zinc-500'}`}
                                     >
-                                        {p}
+                                        {BLEND_LABELS[b]}
                                     </button>
                                 ))}
                             </div>
+                            {blendMode === 'none' && (
+                                <>
+                                    <div className="grid grid-cols-2 gap-2">
+                                        {PATTERNS.map(p => (
+                                            <button
+                                                key={p}
+                                                onClick={() => setPattern(p)}
+                                                className={`px-3 py-2 text-[10px] uppercase rounded border transition-all ${pattern === p ? 'bg-indigo-900/30 border-indigo-500 text-indigo-300' : 'bg-transparent border-zinc-700 text-zinc-400 hover:border-zinc-500'}`}
+                                            >
+                                                {p}
+                                            </button>
+                                        ))}
+                                    </div>
+                                    {pattern === 'mask' && (
+                                        <MaskPanel
+                                            settings={mask}
+                                            onChange={setMask}
+                                            sourceCount={sourceCount}
+                                            maskImage={maskImage}
+                                            onMaskUpload={handleMaskUpload}
+                                            error={maskError}
+                                        />
+                                    )}
+                                </>
+                            )}
                         </div>
                     )}
 
-                    <button
-                        onClick={saveImage}
-                        className="w-full py-4 bg-zinc-800 hover:bg-zinc-700 text-white rounded text-xs uppercase tracking-[0.2em] transition-all flex items-center justify-center gap-3 border border-zinc-700"
-                    >
-                        <Download size={16} /> Export
-                    </button>
+                    {sourceCount > 0 && (
+                        <TimelinePanel
+                            animation={animation}
+                            onChange={setAnimation}
+                            mode={mode}
+                            onScrub={scrubTimeline}
+                            onAddKeyframe={addKeyframe}
+                            onRelaxation={keyRelaxation}
+                            onExport={saveAnimation}
+                        />
+                    )}
+
+                    {sourceCount > 0 && <PlotterPanel onEstimate={estimatePlot} onExport={savePlot} />}
+
+                    {sourceCount > 0 && <ReliefPanel sourceCount={sourceCount} onExport={saveRelief} />}
+
+                    <div className="grid grid-cols-3 gap-2">
+                        <button
+                            onClick={saveImage}
+                            className="py-3 bg-zinc-800 hover:bg-zinc-700 text-white rounded text-[10px] uppercase tracking-[0.2em] transition-all flex flex-col items-center justify-center gap-1 border border-zinc-700"
+                        >
+                            <Download size={16} /> PNG
+                        </button>
+                        <button
+                            onClick={saveSvg}
+                            className="py-3 bg-zinc-800 hover:bg-zinc-700 text-white rounded text-[10px] uppercase tracking-[0.2em] transition-all flex flex-col items-center justify-center gap-1 border border-zinc-700"
+                        >
+                            <FileCode size={16} /> SVG
+                        </button>
+                        <button
+                            onClick={() => setIsExportOpen(true)}
+                            disabled={sourceCount === 0}
+                            className="py-3 bg-zinc-800 hover:bg-zinc-700 disabled:opacity-40 text-white rounded text-[10px] uppercase tracking-[0.2em] transition-all flex flex-col items-center justify-center gap-1 border border-zinc-700"
+                        >
+                            <Printer size={16} /> Print
+                        </button>
+                    </div>
 
                 </div>
 
                 {/* Right Area: Canvas */}
                 <div className="lg:col-span-3 order-1 lg:order-2">
                     <div className="relative w-full aspect-video bg-zinc-900 rounded-lg overflow-hidden border border-zinc-800 flex items-center justify-center group shadow-2xl">
-                        {images.length === 0 ? (
+                        {sourceCount === 0 ? (
                             <label className="cursor-pointer flex flex-col items-center gap-4 group animate-pulse">
                                 <div className="w-20 h-20 rounded-full border border-dashed border-zinc-600 flex items-center justify-center group-hover:border-indigo-500 transition-colors">
                                     <Upload className="text-zinc-500 group-hover:text-indigo-500" size={32} />
@@ -379,15 +1196,60 @@ const App = () => {
                             <canvas ref={canvasRef} className="max-h-full max-w-full object-contain" />
                         )}
 
+                        {isDraggingOrigin && isLatticeMode(mode) && alignSourceId === null && sceneRef.current && (
+                            <OriginHandle
+                                width={sceneRef.current.width}
+                                height={sceneRef.current.height}
+                                transform={latticeTransform}
+                                onMove={moveLatticeOrigin}
+                            />
+                        )}
+
+                        {isEditingCells && !isDraggingOrigin && alignSourceId === null && sceneRef.current && (
+                            <CellEditor
+                                scene={sceneRef.current}
+                                tool={editTool}
+                                onEditCell={editCell}
+                                onMovePoint={movePoint}
+                                onAddPoint={addPoint}
+                                onRemovePoint={removePoint}
+                            />
+                        )}
+
+                        {alignSourceId !== null && sceneRef.current && (
+                            <OnionSkin
+                                width={sceneRef.current.width}
+                                height={sceneRef.current.height}
+                                layers={images.map(img => ({ bitmap: img.bitmap, transform: transformOf(img.id) }))}
+                                activeIndex={images.findIndex(img => img.id === alignSourceId)}
+                                onMove={moveAlignedSource}
+                            />
+                        )}
+
+                        {renderError && !isProcessing && sourceCount > 0 && (
+                            <div className="absolute bottom-4 left-4 right-4 bg-red-500/10 backdrop-blur text-red-400 text-[10px] px-3 py-2 rounded border border-red-500/30">
+                                Render failed: {renderError}
+                            </div>
+                        )}
+
                         {isProcessing && (
                             <div className="absolute top-4 right-4 bg-indigo-500/10 backdrop-blur text-indigo-300 text-[10px] px-3 py-1 rounded border border-indigo-500/30 animate-pulse uppercase tracking-wider flex items-center gap-2">
-                                <Activity size={10} className="animate-spin" /> Processing
+                                <Activity size={10} className="animate-spin" /> {formatProgress(progress)}
                             </div>
                         )}
                     </div>
                 </div>
             </div>
 
+            {isExportOpen && sourceCount > 0 && (
+                <ExportDialog
+                    aspect={sceneRef.current ? sceneRef.current.height / sceneRef.current.width : 1}
+                    defaultWidth={sceneRef.current ? sceneRef.current.width : 1000}
+                    onExport={saveHighRes}
+                    onClose={() => setIsExportOpen(false)}
+                />
+            )}
+
             <footer className="mt-12 text-[9px] text-zinc-700 uppercase tracking-[0.4em]">
                 Lattice Morph V3 // Automated Tessellation System
             </footer>
@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+import { parseArgs } from 'node:util';
+import { readFile, writeFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+import { createCanvas, loadImage } from '@napi-rs/canvas';
+import { runPipeline, pipelineParams, resizeParams, DEFAULT_PARAMS, REFERENCE_WIDTH } from './utils/pipeline';
+import { drawScene } from './utils/draw';
+import { drawSource } from './utils/sources';
+import { sceneToSvg } from './utils/svg';
+import { parseProject } from './utils/project';
+import { MODES, PATTERNS, BUILT_IN_PRESETS } from './utils/presets';
+import { BLEND_MODES } from './utils/blending';
+
+const USAGE = `Usage: lattice-morph render [options] <image...> -o <out.png|out.svg>
+
+Options:
+  --mode <mode>         ${MODES.join(', ')} (default ${DEFAULT_PARAMS.mode})
+  --scale <px>          Cell size, in pixels of a ${REFERENCE_WIDTH}px wide image (default ${DEFAULT_PARAMS.scale})
+  --gap <px>            Gap between cells (default ${DEFAULT_PARAMS.gap})
+  --pattern <pattern>   ${PATTERNS.join(', ')} (default ${DEFAULT_PARAMS.pattern})
+  --seed <n>            Point placement and random alternation (default ${DEFAULT_PARAMS.seed})
+  --iterations <n>      Stipple relaxation passes (default ${DEFAULT_PARAMS.stippleIterations})
+  --points <n>          Stipple dots (default ${DEFAULT_PARAMS.pointCount})
+  --sampling <method>   center, mean, median, dominant (default ${DEFAULT_PARAMS.sampling})
+  --blend <mode>        ${BLEND_MODES.join(', ')} (default ${DEFAULT_PARAMS.blendMode})
+  --colors <n>          Posterize to n colours
+  --preset <name>       Start from a built-in preset: ${BUILT_IN_PRESETS.map(p => `"${p.name}"`).join(', ')}
+  --project <file>      Start from a saved project; its sources are used unless images are given
+  --width <px>          Output width; the height follows the first image (default ${REFERENCE_WIDTH})
+  -o, --output <file>   Output file, .png or .svg
+  -h, --help            Show this help`;
+
+const OPTIONS = {
+    mode: { type: 'string' },
+    scale: { type: 'string' },
+    gap: { type: 'string' },
+    pattern: { type: 'string' },
+    seed: { type: 'string' },
+    iterations: { type: 'string' },
+    points: { type: 'string' },
+    sampling: { type: 'string' },
+    blend: { type: 'string' },
+    colors: { type: 'string' },
+    preset: { type: 'string' },
+    project: { type: 'string' },
+    width: { type: 'string' },
+    output: { type: 'string', short: 'o' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const number = (values, name, min, max) => {
+    const value = Number(values[name]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+        throw new Error(`--${name} must be a number from ${min} to ${max}`);
+    }
+    return value;
+};
+
+const choice = (values, name, allowed) => {
+    if (!allowed.includes(values[name])) throw new Error(`--${name} must be one of ${allowed.join(', ')}`);
+    return values[name];
+};
+
+/**
+ * Reads the parameter flags that were given, in project form.
+ * @param {Object} values From `parseArgs`
+ * @returns {Object}
+ */
+const readOverrides = (values) => {
+    const overrides = {};
+    if (values.mode !== undefined) overrides.mode = choice(values, 'mode', MODES);
+    if (values.scale !== undefined) overrides.scale = number(values, 'scale', 1, 1000);
+    if (values.gap !== undefined) overrides.gap = number(values, 'gap', 0, 100);
+    if (values.pattern !== undefined) overrides.pattern = choice(values, 'pattern', PATTERNS);
+    if (values.seed !== undefined) overrides.seed = Math.floor(number(values, 'seed', 0, Number.MAX_SAFE_INTEGER));
+    if (values.iterations !== undefined) overrides.stippleIterations = Math.round(number(values, 'iterations', 0, 100));
+    if (values.points !== undefined) overrides.pointCount = Math.round(number(values, 'points', 1, 5e6));
+    if (values.sampling !== undefined) overrides.sampling = choice(values, 'sampling', ['center', 'mean', 'median', 'dominant']);
+    if (values.blend !== undefined) overrides.blendMode = choice(values, 'blend', BLEND_MODES);
+    if (values.colors !== undefined) {
+        overrides.palette = { ...DEFAULT_PARAMS.palette, enabled: true, count: Math.round(number(values, 'colors', 2, 64)) };
+    }
+    return overrides;
+};
+
+const readPixels = (image, width, height, transform) => {
+    const ctx = createCanvas(width, height).getContext('2d');
+    drawSource(ctx, image, width, height, transform);
+    return ctx.getImageData(0, 0, width, height).data;
+};
+
+const render = async (values, files) => {
+    if (!values.output) throw new Error('No output file given (-o)');
+    const format = extname(values.output).toLowerCase();
+    if (format !== '.png' && format !== '.svg') throw new Error('Output must be a .png or .svg file');
+
+    let params = { ...DEFAULT_PARAMS };
+    let sources = files.map((file, i) => ({ id: i, data: file }));
+    let points = null;
+    if (values.project) {
+        const project = parseProject(await readFile(values.project, 'utf8'));
+        params = { ...params, ...project.params };
+        if (files.length === 0) {
+            sources = project.sources.map(({ id, dataUrl }) => ({ id, data: dataUrl }));
+            points = project.points;
+        }
+    }
+    if (values.preset) {
+        const preset = BUILT_IN_PRESETS.find(p => p.name.toLowerCase() === values.preset.toLowerCase());
+        if (!preset) throw new Error(`Unknown preset "${values.preset}"`);
+        params = { ...params, ...preset.params };
+    }
+    const overrides = readOverrides(values);
+    params = { ...params, ...overrides };
+    // Saved sites only belong to the project exactly as it was saved
+    if (values.preset || Object.keys(overrides).length > 0) points = null;
+    if (sources.length === 0) throw new Error('No source images given');
+
+    const images = await Promise.all(sources.map(async ({ data }) => (
+        loadImage(data.startsWith('data:') ? data : await readFile(data))
+    )));
+    const width = values.width !== undefined ? Math.round(number(values, 'width', 16, 20000)) : REFERENCE_WIDTH;
+    const height = Math.round(width * (images[0].height / images[0].width));
+
+    const ids = sources.map(source => source.id);
+    const sceneParams = { ...resizeParams(pipelineParams(params, ids), width / REFERENCE_WIDTH), points };
+    const imagePixelData = images.map((image, i) => readPixels(image, width, height, sceneParams.transforms[i]));
+
+    let maskPixels = null;
+    if (params.pattern === 'mask' && params.mask.type === 'image' && params.maskImage) {
+        maskPixels = readPixels(await loadImage(params.maskImage), width, height, null);
+    }
+    let densityPixels = null;
+    if (params.mode === 'stipple' && params.density.source === 'image' && params.densityImage) {
+        densityPixels = readPixels(await loadImage(params.densityImage), width, height, null);
+    }
+
+    const { scene } = runPipeline(imagePixelData, width, height, sceneParams, { maskPixels, densityPixels });
+
+    if (format === '.svg') {
+        await writeFile(values.output, sceneToSvg(scene));
+    } else {
+        const canvas = createCanvas(width, height);
+        drawScene(canvas.getContext('2d'), scene);
+        await writeFile(values.output, await canvas.encode('png'));
+    }
+    console.error(`Wrote ${values.output} (${width}x${height}, ${scene.shapes.length} cells)`);
+};
+
+const main = async () => {
+    const { values, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+    if (values.help || positionals.length === 0) {
+        console.log(USAGE);
+        return;
+    }
+    const [command, ...files] = positionals;
+    if (command !== 'render') throw new Error(`Unknown command "${command}"`);
+    await render(values, files);
+};
+
+main().catch((err) => {
+    console.error(`lattice-morph: ${err.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,56 @@
+import React from 'react';
+import { LayoutDashboard } from 'lucide-react';
+
+const optionClass = (active) =>
+    `px-2 py-1.5 text-[9px] uppercase rounded border transition-all ${active ? 'bg-indigo-900/30 border-indigo-500 text-indigo-300' : 'bg-transparent border-zinc-700 text-zinc-400 hover:border-zinc-500'}`;
+
+/**
+ * Settings for the adaptive mode: cells split wherever the sources are busier
+ * than the detail threshold, between the max and min cell sizes.
+ */
+const AdaptivePanel = ({ settings, onChange }) => {
+    const update = (patch) => onChange({ ...settings, ...patch });
+
+    const sliders = [
+        { id: 'threshold', label: 'Detail Threshold', min: 0.01, max: 0.3, step: 0.01, format: (v) => v.toFixed(2) },
+        // Each size stays on its side of the other
+        { id: 'minSize', label: 'Min Cell', min: 2, max: settings.maxSize, step: 1, format: (v) => `${v}px` },
+        { id: 'maxSize', label: 'Max Cell', min: settings.minSize, max: 200, step: 1, format: (v) => `${v}px` }
+    ];
+
+    return (
+        <div className="bg-zinc-900/50 p-4 rounded-lg border border-zinc-800 space-y-3">
+            <h3 className="text-[10px] uppercase tracking-widest text-zinc-500 flex items-center gap-2">
+                <LayoutDashboard size={12} /> Adaptive Cells
+            </h3>
+
+            <div className="grid grid-cols-3 gap-1">
+                {[
+                    { id: 'square', label: 'Quad' },
+                    { id: 'triangle', label: 'Tri' },
+                    { id: 'voronoi', label: 'Vor' }
+                ].map(s => (
+                    <button key={s.id} onClick={() => update({ shape: s.id })} className={optionClass(settings.shape === s.id)}>
+                        {s.label}
+                    </button>
+                ))}
+            </div>
+
+            {sliders.map(s => (
+                <div key={s.id} className="space-y-2">
+                    <div className="flex justify-between text-[10px] uppercase tracking-widest text-zinc-500">
+                        <label>{s.label}</label>
+                        <span>{s.format(settings[s.id])}</span>
+                    </div>
+                    <input
+                        type="range" min={s.min} max={s.max} step={s.step} value={settings[s.id]}
+                        onChange={(e) => update({ [s.id]: Number(e.target.value) })}
+                        className="w-full appearance-none bg-zinc-800 h-1 rounded-full accent-indigo-500"
+                    />
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default AdaptivePanel;
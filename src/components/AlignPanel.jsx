@@ -0,0 +1,64 @@
+import React from 'react';
+import { Move, RotateCcw } from 'lucide-react';
+import { SOURCE_FITS, DEFAULT_SOURCE_TRANSFORM } from '../utils/sources';
+
+const optionClass = (active) =>
+    `px-2 py-1.5 text-[9px] uppercase rounded border transition-all ${active ? 'bg-indigo-900/30 border-indigo-500 text-indigo-300' : 'bg-transparent border-zinc-700 text-zinc-400 hover:border-zinc-500'}`;
+
+/**
+ * Fit, scale and rotation for the source being aligned. The offset is set by
+ * dragging the onion-skin overlay on the canvas.
+ */
+const AlignPanel = ({ label, transform, onChange }) => {
+    const update = (patch) => onChange({ ...transform, ...patch });
+
+    return (
+        <div className="space-y-3 pt-3 mt-3 border-t border-zinc-800">
+            <div className="flex justify-between items-center text-[10px] uppercase tracking-widest text-zinc-500">
+                <span className="flex items-center gap-2"><Move size={12} /> Align {label}</span>
+                <button onClick={() => onChange(DEFAULT_SOURCE_TRANSFORM)} title="Reset" className="hover:text-indigo-400 transition-colors">
+                    <RotateCcw size={12} />
+                </button>
+            </div>
+
+            <div className="grid grid-cols-3 gap-1">
+                {SOURCE_FITS.map(f => (
+                    <button key={f} onClick={() => update({ fit: f })} className={optionClass(transform.fit === f)}>
+                        {f}
+                    </button>
+                ))}
+            </div>
+
+            <div className="space-y-2">
+                <div className="flex justify-between text-[10px] uppercase tracking-widest text-zinc-500">
+                    <label>Zoom</label>
+                    <span>{Math.round(transform.scale * 100)}%</span>
+                </div>
+                <input
+                    type="range" min="0.2" max="4" step="0.01" value={transform.scale}
+                    onChange={(e) => update({ scale: Number(e.target.value) })}
+                    className="w-full appearance-none bg-zinc-800 h-1 rounded-full accent-indigo-500"
+                />
+            </div>
+
+            <div className="space-y-2">
+                <div className="flex justify-between text-[10px] uppercase tracking-widest text-zinc-500">
+                    <label>Rotation</label>
+                    <span>{transform.rotation}°</span>
+                </div>
+                <input
+                    type="range" min="-180" max="180" step="1" value={transform.rotation}
+                    onChange={(e) => update({ rotation: Number(e.target.value) })}
+                    className="w-full appearance-none bg-zinc-800 h-1 rounded-full accent-indigo-500"
+                />
+            </div>
+
+            <div className="text-[9px] uppercase tracking-widest text-zinc-600 flex justify-between">
+                <span>Drag canvas to move</span>
+                <span>{Math.round(transform.offsetX * 100)}%, {Math.round(transform.offsetY * 100)}%</span>
+            </div>
+        </div>
+    );
+};
+
+export default AlignPanel;
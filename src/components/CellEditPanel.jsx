@@ -0,0 +1,76 @@
+import React from 'react';
+import { MousePointerClick, Layers, PaintBucket, EyeOff, Eraser, Move, Plus, Minus, Trash2 } from 'lucide-react';
+import { EDIT_TOOLS } from '../utils/editing';
+
+const optionClass = (active) =>
+    `px-2 py-1.5 text-[9px] uppercase rounded border transition-all ${active ? 'bg-indigo-900/30 border-indigo-500 text-indigo-300' : 'bg-transparent border-zinc-700 text-zinc-400 hover:border-zinc-500'}`;
+
+const TOOL_ICONS = { source: Layers, color: PaintBucket, hide: EyeOff, reset: Eraser, move: Move, add: Plus, remove: Minus };
+
+/**
+ * Per-cell editing on the preview: pick a tool here, then click or drag over
+ * cells. Site tools are offered for the modes built from editable sites.
+ */
+const CellEditPanel = ({ isEditing, onToggle, edit, onChange, pointTools, sourceCount, overrideCount, onClear }) => {
+    const update = (patch) => onChange({ ...edit, ...patch });
+    const tools = Object.keys(EDIT_TOOLS).filter(t => pointTools || !EDIT_TOOLS[t].points);
+
+    return (
+        <div className="bg-zinc-900/50 p-4 rounded-lg border border-zinc-800 space-y-3">
+            <div className="flex justify-between items-center">
+                <h3 className="text-[10px] uppercase tracking-widest text-zinc-500 flex items-center gap-2">
+                    <MousePointerClick size={12} /> Cell Editor
+                </h3>
+                <button
+                    onClick={onClear}
+                    disabled={overrideCount === 0}
+                    title="Clear all cell edits"
+                    className="text-zinc-500 hover:text-red-400 disabled:opacity-40 transition-colors"
+                >
+                    <Trash2 size={12} />
+                </button>
+            </div>
+
+            <button onClick={onToggle} className={`${optionClass(isEditing)} w-full flex items-center justify-center gap-1`}>
+                <MousePointerClick size={10} /> {isEditing ? 'Editing Cells' : 'Edit Cells'}
+                <span className="text-zinc-500 ml-1">{overrideCount} edited</span>
+            </button>
+
+            {isEditing && (
+                <>
+                    <div className="grid grid-cols-4 gap-1">
+                        {tools.map(t => {
+                            const Icon = TOOL_ICONS[t];
+                            return (
+                                <button key={t} onClick={() => update({ tool: t })} className={`${optionClass(edit.tool === t)} flex flex-col items-center gap-1`}>
+                                    <Icon size={10} /> {EDIT_TOOLS[t].label}
+                                </button>
+                            );
+                        })}
+                    </div>
+
+                    {edit.tool === 'source' && (
+                        <div className="grid grid-cols-4 gap-1">
+                            {Array.from({ length: sourceCount }, (_, idx) => (
+                                <button key={idx} onClick={() => update({ source: idx })} className={optionClass(edit.source === idx)}>
+                                    SRC {idx + 1}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+
+                    {edit.tool === 'color' && (
+                        <label className="flex items-center justify-between text-[10px] uppercase tracking-widest text-zinc-500">
+                            Fill
+                            <span className="relative w-8 h-4 rounded border border-zinc-700" style={{ backgroundColor: edit.color }}>
+                                <input type="color" value={edit.color} onChange={(e) => update({ color: e.target.value })} className="absolute inset-0 opacity-0 cursor-pointer" />
+                            </span>
+                        </label>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default CellEditPanel;
@@ -0,0 +1,135 @@
+import React, { useRef, useEffect, useState } from 'react';
+import { shapeAt, nearestPoint, EDIT_TOOLS } from '../utils/editing';
+
+// Screen pixels a pointer may miss a dot or a site by
+const REACH = 8;
+
+const tracePath = (ctx, shape) => {
+    ctx.beginPath();
+    if (shape.type === 'circle') {
+        ctx.arc(shape.x, shape.y, Math.max(shape.r, 2), 0, Math.PI * 2);
+        return;
+    }
+    shape.points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+    ctx.closePath();
+};
+
+/**
+ * Overlay for editing the preview cell by cell. Cell tools apply to every
+ * cell the pointer is pressed or dragged over; point tools drag, add and
+ * delete Voronoi/stipple sites, reported as fractions of the canvas size.
+ * Hidden cells are outlined so they can be brought back.
+ */
+const CellEditor = ({ scene, tool, onEditCell, onMovePoint, onAddPoint, onRemovePoint }) => {
+    const canvasRef = useRef(null);
+    const dragRef = useRef(null);
+    const [hover, setHover] = useState(null); // Shape or site index under the pointer
+    const { width, height } = scene;
+    const isPointTool = !!EDIT_TOOLS[tool].points;
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, width, height);
+        ctx.lineWidth = 1;
+
+        if (isPointTool) {
+            ctx.fillStyle = 'rgba(99, 102, 241, 0.9)';
+            (scene.points || []).forEach(([x, y], i) => {
+                ctx.beginPath();
+                ctx.arc(x, y, i === hover ? 4 : 2, 0, Math.PI * 2);
+                ctx.fill();
+            });
+            return;
+        }
+
+        ctx.strokeStyle = 'rgba(161, 161, 170, 0.8)';
+        ctx.setLineDash([3, 3]);
+        for (const shape of scene.hidden || []) {
+            tracePath(ctx, shape);
+            ctx.stroke();
+        }
+        ctx.setLineDash([]);
+        if (hover) {
+            ctx.strokeStyle = 'rgba(99, 102, 241, 1)';
+            ctx.lineWidth = 2;
+            tracePath(ctx, hover);
+            ctx.stroke();
+        }
+    }, [scene, hover, isPointTool, width, height]);
+
+    useEffect(() => setHover(null), [tool]);
+
+    // Canvas pixels under the pointer, and the reach scaled to match
+    const locate = (e) => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        const ratio = width / rect.width;
+        return { x: (e.clientX - rect.left) * ratio, y: (e.clientY - rect.top) * ratio, reach: REACH * ratio };
+    };
+
+    // Hidden cells come first so a visible cell on top of one wins
+    const cellAt = ({ x, y, reach }) => shapeAt([...(scene.hidden || []), ...scene.shapes], x, y, reach);
+    const siteAt = ({ x, y, reach }) => (scene.points ? nearestPoint(scene.points, x, y, reach) : -1);
+
+    const paint = (shape) => {
+        if (!shape || dragRef.current.key === shape.key) return;
+        dragRef.current.key = shape.key;
+        onEditCell(shape.key);
+    };
+
+    const handlePointerDown = (e) => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        const at = locate(e);
+        if (tool === 'move') {
+            const index = siteAt(at);
+            if (index >= 0) dragRef.current = { index };
+        } else if (tool === 'add') {
+            onAddPoint(at.x / width, at.y / height);
+        } else if (tool === 'remove') {
+            const index = siteAt(at);
+            if (index >= 0) onRemovePoint(index);
+            setHover(null);
+        } else {
+            dragRef.current = { key: null };
+            paint(cellAt(at));
+        }
+    };
+
+    const handlePointerMove = (e) => {
+        const at = locate(e);
+        const drag = dragRef.current;
+        if (drag && drag.index !== undefined) {
+            onMovePoint(drag.index, Math.min(1, Math.max(0, at.x / width)), Math.min(1, Math.max(0, at.y / height)));
+            return;
+        }
+        if (isPointTool) {
+            const index = siteAt(at);
+            setHover(index >= 0 ? index : null);
+            return;
+        }
+        const shape = cellAt(at);
+        setHover(shape);
+        if (drag) paint(shape);
+    };
+
+    const handlePointerUp = () => {
+        dragRef.current = null;
+    };
+
+    return (
+        <canvas
+            ref={canvasRef}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+            onPointerLeave={() => setHover(null)}
+            className="absolute inset-0 m-auto max-h-full max-w-full cursor-crosshair touch-none"
+        />
+    );
+};
+
+export default CellEditor;
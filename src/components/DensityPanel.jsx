@@ -0,0 +1,82 @@
+import React from 'react';
+import { Contrast, Upload, FlipVertical2 } from 'lucide-react';
+
+const optionClass = (active) =>
+    `px-2 py-1.5 text-[9px] uppercase rounded border transition-all ${active ? 'bg-indigo-900/30 border-indigo-500 text-indigo-300' : 'bg-transparent border-zinc-700 text-zinc-400 hover:border-zinc-500'}`;
+
+const ADJUSTMENTS = [
+    { id: 'brightness', label: 'Brightness', min: -1, max: 1, step: 0.05 },
+    { id: 'contrast', label: 'Contrast', min: 0, max: 3, step: 0.05 },
+    { id: 'gamma', label: 'Gamma', min: 0.2, max: 5, step: 0.1 }
+];
+
+/**
+ * Where stipple dots gather: one source, a weighted mix of the sources (using
+ * the Source Library weights) or an uploaded density image, with tone controls.
+ */
+const DensityPanel = ({ settings, onChange, sourceCount, densityImage, onDensityUpload, error }) => {
+    const update = (patch) => onChange({ ...settings, ...patch });
+
+    const handleFile = (e) => {
+        const file = e.target.files[0];
+        if (file) onDensityUpload(file);
+        e.target.value = '';
+    };
+
+    return (
+        <div className="bg-zinc-900/50 p-4 rounded-lg border border-zinc-800 space-y-3">
+            <h3 className="text-[10px] uppercase tracking-widest text-zinc-500 flex items-center gap-2">
+                <Contrast size={12} /> Stipple Density
+            </h3>
+
+            <div className="grid grid-cols-4 gap-1">
+                {Array.from({ length: sourceCount }, (_, i) => (
+                    <button key={i} onClick={() => update({ source: 'source', index: i })} className={optionClass(settings.source === 'source' && settings.index === i)}>
+                        SRC {i + 1}
+                    </button>
+                ))}
+                {sourceCount > 1 && (
+                    <button onClick={() => update({ source: 'weighted' })} title="Weighted by the Source Library sliders" className={optionClass(settings.source === 'weighted')}>
+                        Mix
+                    </button>
+                )}
+                <button onClick={() => update({ source: 'image' })} className={optionClass(settings.source === 'image')}>
+                    Img
+                </button>
+            </div>
+
+            {settings.source === 'image' && (
+                <label className="flex items-center gap-3 cursor-pointer text-[10px] uppercase tracking-widest text-zinc-400 hover:text-indigo-400 transition-colors">
+                    {densityImage ? (
+                        <img src={densityImage.dataUrl} className="w-10 h-10 object-cover rounded border border-zinc-700" />
+                    ) : (
+                        <span className="w-10 h-10 rounded border border-dashed border-zinc-700 flex items-center justify-center"><Upload size={12} /></span>
+                    )}
+                    {densityImage ? 'Replace Density' : 'Upload Density'}
+                    <input type="file" className="hidden" onChange={handleFile} accept="image/*" />
+                </label>
+            )}
+            {error && <p className="text-[10px] text-red-400">{error}</p>}
+
+            {ADJUSTMENTS.map(a => (
+                <div key={a.id} className="space-y-2">
+                    <div className="flex justify-between text-[10px] uppercase tracking-widest text-zinc-500">
+                        <label>{a.label}</label>
+                        <span>{settings[a.id].toFixed(2)}</span>
+                    </div>
+                    <input
+                        type="range" min={a.min} max={a.max} step={a.step} value={settings[a.id]}
+                        onChange={(e) => update({ [a.id]: Number(e.target.value) })}
+                        className="w-full appearance-none bg-zinc-800 h-1 rounded-full accent-cyan-500"
+                    />
+                </div>
+            ))}
+
+            <button onClick={() => update({ invert: !settings.invert })} className={`${optionClass(settings.invert)} w-full flex items-center justify-center gap-1`}>
+                <FlipVertical2 size={10} /> Invert (white on black)
+            </button>
+        </div>
+    );
+};
+
+export default DensityPanel;
@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { Download, X } from 'lucide-react';
+import { PAPER_SIZES, DPI_OPTIONS, MIN_EXPORT_WIDTH, MAX_EXPORT_WIDTH, printSizeToPixels } from '../utils/export';
+
+const clampWidth = (text) => Math.min(MAX_EXPORT_WIDTH, Math.max(MIN_EXPORT_WIDTH, Math.round(Number(text)) || MIN_EXPORT_WIDTH));
+
+const ExportDialog = ({ aspect, defaultWidth, onExport, onClose }) => {
+    const [sizing, setSizing] = useState('print'); // 'pixels', 'print'
+    const [widthText, setWidthText] = useState(String(defaultWidth * 4)); // As typed; clamped when used
+    const [paper, setPaper] = useState('A2');
+    const [dpi, setDpi] = useState(300);
+    const [progress, setProgress] = useState(null);
+    const [error, setError] = useState(null);
+
+    const pixelWidth = clampWidth(widthText);
+    const target = sizing === 'print'
+        ? printSizeToPixels(PAPER_SIZES[paper], dpi, aspect)
+        : { width: pixelWidth, height: Math.round(pixelWidth * aspect) };
+    const megapixels = (target.width * target.height) / 1e6;
+    const isBusy = progress !== null;
+
+    const handleExport = async () => {
+        setError(null);
+        setProgress(0);
+        try {
+            await onExport({ ...target, dpi: sizing === 'print' ? dpi : undefined }, setProgress);
+            onClose();
+        } catch (err) {
+            setError(err.message);
+            setProgress(null);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 bg-black/70 backdrop-blur-sm flex items-center justify-center p-6">
+            <div className="w-full max-w-sm bg-zinc-900 border border-zinc-800 rounded-lg p-5 space-y-5">
+                <div className="flex justify-between items-center">
+                    <h3 className="text-[10px] uppercase tracking-widest text-zinc-400">High-Res Export</h3>
+                    <button onClick={onClose} disabled={isBusy} className="text-zinc-500 hover:text-white disabled:opacity-30">
+                        <X size={14} />
+                    </button>
+                </div>
+
+                <div className="grid grid-cols-2 gap-2">
+                    {['print', 'pixels'].map(s => (
+                        <button
+                            key={s}
+                            onClick={() => setSizing(s)}
+                            className={`px-3 py-2 text-[10px] uppercase rounded border transition-all ${sizing === s ? 'bg-indigo-900/30 border-indigo-500 text-indigo-300' : 'bg-transparent border-zinc-700 text-zinc-400 hover:border-zinc-500'}`}
+                        >
+                            {s}
+                        </button>
+                    ))}
+                </div>
+
+                {sizing === 'print' ? (
+                    <div className="grid grid-cols-2 gap-3 text-[10px] uppercase tracking-widest text-zinc-500">
+                        <label className="space-y-1">
+                            <span>Paper</span>
+                            <select value={paper} onChange={(e) => setPaper(e.target.value)} className="w-full bg-zinc-800 text-zinc-200 rounded px-2 py-1">
+                                {Object.keys(PAPER_SIZES).map(p => <option key={p} value={p}>{p}</option>)}
+                            </select>
+                        </label>
+                        <label className="space-y-1">
+                            <span>DPI</span>
+                            <select value={dpi} onChange={(e) => setDpi(Number(e.target.value))} className="w-full bg-zinc-800 text-zinc-200 rounded px-2 py-1">
+                                {DPI_OPTIONS.map(d => <option key={d} value={d}>{d}</option>)}
+                            </select>
+                        </label>
+                    </div>
+                ) : (
+                    <label className="block space-y-1 text-[10px] uppercase tracking-widest text-zinc-500">
+                        <span>Width (px)</span>
+                        <input
+                            type="number" min={MIN_EXPORT_WIDTH} max={MAX_EXPORT_WIDTH} value={widthText}
+                            onChange={(e) => setWidthText(e.target.value)}
+                            onBlur={() => setWidthText(String(pixelWidth))}
+                            className="w-full bg-zinc-800 text-zinc-200 rounded px-2 py-1"
+                        />
+                    </label>
+                )}
+
+                <div className="text-[10px] text-zinc-500 uppercase tracking-widest flex justify-between">
+                    <span>{target.width} × {target.height}px</span>
+                    <span>{megapixels.toFixed(1)} MP</span>
+                </div>
+
+                {isBusy && (
+                    <div className="h-1 bg-zinc-800 rounded-full overflow-hidden">
+                        <div className="h-full bg-indigo-500 transition-all" style={{ width: `${Math.round(progress * 100)}%` }} />
+                    </div>
+                )}
+                {error && <p className="text-[10px] text-red-400">{error}</p>}
+
+                <button
+                    onClick={handleExport}
+                    disabled={isBusy}
+                    className="w-full py-3 bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50 text-white rounded text-xs uppercase tracking-[0.2em] transition-all flex items-center justify-center gap-3"
+                >
+                    <Download size={14} /> {isBusy ? `Rendering ${Math.round(progress * 100)}%` : 'Render PNG'}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default ExportDialog;
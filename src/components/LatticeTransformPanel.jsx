@@ -0,0 +1,58 @@
+import React from 'react';
+import { Rotate3d, Crosshair, RotateCcw } from 'lucide-react';
+import { DEFAULT_LATTICE_TRANSFORM } from '../utils/lattices';
+
+const optionClass = (active) =>
+    `px-2 py-1.5 text-[9px] uppercase rounded border transition-all ${active ? 'bg-indigo-900/30 border-indigo-500 text-indigo-300' : 'bg-transparent border-zinc-700 text-zinc-400 hover:border-zinc-500'}`;
+
+/**
+ * Rotation, shear and origin of the periodic lattices. The origin is moved by
+ * dragging on the canvas while `isDragging` is on.
+ */
+const LatticeTransformPanel = ({ transform, onChange, isDragging, onToggleDrag }) => {
+    const update = (patch) => onChange({ ...transform, ...patch });
+
+    return (
+        <div className="bg-zinc-900/50 p-4 rounded-lg border border-zinc-800 space-y-3">
+            <div className="flex justify-between items-center">
+                <h3 className="text-[10px] uppercase tracking-widest text-zinc-500 flex items-center gap-2">
+                    <Rotate3d size={12} /> Lattice Transform
+                </h3>
+                <button onClick={() => onChange(DEFAULT_LATTICE_TRANSFORM)} title="Reset" className="text-zinc-500 hover:text-indigo-400 transition-colors">
+                    <RotateCcw size={12} />
+                </button>
+            </div>
+
+            <div className="space-y-2">
+                <div className="flex justify-between text-[10px] uppercase tracking-widest text-zinc-500">
+                    <label>Rotation</label>
+                    <span>{transform.rotation}°</span>
+                </div>
+                <input
+                    type="range" min="-180" max="180" step="1" value={transform.rotation}
+                    onChange={(e) => update({ rotation: Number(e.target.value) })}
+                    className="w-full appearance-none bg-zinc-800 h-1 rounded-full accent-indigo-500"
+                />
+            </div>
+
+            <div className="space-y-2">
+                <div className="flex justify-between text-[10px] uppercase tracking-widest text-zinc-500">
+                    <label>Shear</label>
+                    <span>{transform.shear.toFixed(2)}</span>
+                </div>
+                <input
+                    type="range" min="-1" max="1" step="0.01" value={transform.shear}
+                    onChange={(e) => update({ shear: Number(e.target.value) })}
+                    className="w-full appearance-none bg-zinc-800 h-1 rounded-full accent-indigo-500"
+                />
+            </div>
+
+            <button onClick={onToggleDrag} className={`${optionClass(isDragging)} w-full flex items-center justify-center gap-1`}>
+                <Crosshair size={10} /> {isDragging ? 'Dragging Origin' : 'Drag Origin'}
+                <span className="text-zinc-500 ml-1">{Math.round(transform.originX * 100)}%, {Math.round(transform.originY * 100)}%</span>
+            </button>
+        </div>
+    );
+};
+
+export default LatticeTransformPanel;
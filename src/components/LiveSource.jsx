@@ -0,0 +1,39 @@
+import React, { useRef, useEffect } from 'react';
+import { Snowflake, X } from 'lucide-react';
+
+/**
+ * Library tile for the camera or looping video source. Shows the playing
+ * video itself; Freeze adds the current frame to the library as a still.
+ */
+const LiveSource = ({ source, onFreeze, onStop }) => {
+    const containerRef = useRef(null);
+
+    useEffect(() => {
+        const container = containerRef.current;
+        const { video } = source;
+        video.className = 'w-full h-full object-cover opacity-70 group-hover:opacity-100 transition-opacity';
+        container.appendChild(video);
+        return () => {
+            if (video.parentNode === container) container.removeChild(video);
+        };
+    }, [source]);
+
+    return (
+        <div className="relative group aspect-square rounded overflow-hidden border border-red-500/60 bg-black">
+            <div ref={containerRef} className="w-full h-full" />
+            <div className="absolute top-1 right-1 flex gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                <button onClick={onFreeze} title="Freeze frame into the library" className="bg-indigo-500/80 text-white p-1 rounded">
+                    <Snowflake size={10} />
+                </button>
+                <button onClick={onStop} title="Stop" className="bg-red-500/80 text-white p-1 rounded">
+                    <X size={10} />
+                </button>
+            </div>
+            <div className="absolute bottom-0 left-0 bg-red-600/80 text-[8px] px-1 text-white flex items-center gap-1">
+                <span className="w-1 h-1 rounded-full bg-white animate-pulse" /> LIVE · SRC 1
+            </div>
+        </div>
+    );
+};
+
+export default LiveSource;
@@ -0,0 +1,62 @@
+import React from 'react';
+import { Triangle } from 'lucide-react';
+
+const optionClass = (active) =>
+    `px-2 py-1.5 text-[9px] uppercase rounded border transition-all ${active ? 'bg-indigo-900/30 border-indigo-500 text-indigo-300' : 'bg-transparent border-zinc-700 text-zinc-400 hover:border-zinc-500'}`;
+
+/**
+ * Settings for the low-poly mode: which edges in the primary source attract
+ * vertices, how many vertices to spend and how the canvas border is covered.
+ */
+const LowPolyPanel = ({ settings, onChange }) => {
+    const update = (patch) => onChange({ ...settings, ...patch });
+
+    return (
+        <div className="bg-zinc-900/50 p-4 rounded-lg border border-zinc-800 space-y-3">
+            <h3 className="text-[10px] uppercase tracking-widest text-zinc-500 flex items-center gap-2">
+                <Triangle size={12} /> Low Poly
+            </h3>
+
+            <div className="space-y-2">
+                <div className="flex justify-between text-[10px] uppercase tracking-widest text-zinc-500">
+                    <label>Edge Threshold</label>
+                    <span>{settings.threshold.toFixed(2)}</span>
+                </div>
+                <input
+                    type="range" min="0.02" max="0.9" step="0.01" value={settings.threshold}
+                    onChange={(e) => update({ threshold: Number(e.target.value) })}
+                    className="w-full appearance-none bg-zinc-800 h-1 rounded-full accent-indigo-500"
+                />
+            </div>
+
+            <div className="space-y-2">
+                <div className="flex justify-between text-[10px] uppercase tracking-widest text-zinc-500">
+                    <label>Vertex Budget</label>
+                    <span>{settings.budget.toLocaleString()}</span>
+                </div>
+                <input
+                    type="range" min="100" max="20000" step="100" value={settings.budget}
+                    onChange={(e) => update({ budget: Number(e.target.value) })}
+                    className="w-full appearance-none bg-zinc-800 h-1 rounded-full accent-indigo-500"
+                />
+            </div>
+
+            <div className="space-y-2">
+                <div className="text-[10px] uppercase tracking-widest text-zinc-500">Border</div>
+                <div className="grid grid-cols-3 gap-1">
+                    {[
+                        { id: 'edges', label: 'Edges' },
+                        { id: 'corners', label: 'Corners' },
+                        { id: 'none', label: 'None' }
+                    ].map(b => (
+                        <button key={b.id} onClick={() => update({ border: b.id })} className={optionClass(settings.border === b.id)}>
+                            {b.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default LowPolyPanel;
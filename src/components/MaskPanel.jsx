@@ -0,0 +1,82 @@
+import React from 'react';
+import { SlidersHorizontal, Upload, FlipVertical2 } from 'lucide-react';
+
+const optionClass = (active) =>
+    `px-2 py-1.5 text-[9px] uppercase rounded border transition-all ${active ? 'bg-indigo-900/30 border-indigo-500 text-indigo-300' : 'bg-transparent border-zinc-700 text-zinc-400 hover:border-zinc-500'}`;
+
+/**
+ * Settings for the 'mask' alternation pattern: the mask's brightness is split
+ * into one band per source image.
+ */
+const MaskPanel = ({ settings, onChange, sourceCount, maskImage, onMaskUpload, error }) => {
+    const update = (patch) => onChange({ ...settings, ...patch });
+
+    const handleFile = (e) => {
+        const file = e.target.files[0];
+        if (file) onMaskUpload(file);
+        e.target.value = '';
+    };
+
+    return (
+        <div className="space-y-3 pt-3 mt-3 border-t border-zinc-800">
+            <div className="text-[10px] uppercase tracking-widest text-zinc-500 flex items-center gap-2">
+                <SlidersHorizontal size={12} /> Mask
+            </div>
+            <div className="grid grid-cols-4 gap-1">
+                {[
+                    { id: 'linear', label: 'Lin' },
+                    { id: 'radial', label: 'Rad' },
+                    { id: 'luminance', label: 'Luma' },
+                    { id: 'image', label: 'Img' }
+                ].map(t => (
+                    <button key={t.id} onClick={() => update({ type: t.id })} className={optionClass(settings.type === t.id)}>
+                        {t.label}
+                    </button>
+                ))}
+            </div>
+
+            {settings.type === 'linear' && (
+                <div className="space-y-2">
+                    <div className="flex justify-between text-[10px] uppercase tracking-widest text-zinc-500">
+                        <label>Angle</label>
+                        <span>{settings.angle}°</span>
+                    </div>
+                    <input
+                        type="range" min="0" max="359" step="1" value={settings.angle}
+                        onChange={(e) => update({ angle: Number(e.target.value) })}
+                        className="w-full appearance-none bg-zinc-800 h-1 rounded-full accent-indigo-500"
+                    />
+                </div>
+            )}
+
+            {settings.type === 'luminance' && (
+                <div className="grid grid-cols-4 gap-1">
+                    {Array.from({ length: sourceCount }, (_, i) => (
+                        <button key={i} onClick={() => update({ source: i })} className={optionClass(settings.source === i)}>
+                            SRC {i + 1}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {settings.type === 'image' && (
+                <label className="flex items-center gap-3 cursor-pointer text-[10px] uppercase tracking-widest text-zinc-400 hover:text-indigo-400 transition-colors">
+                    {maskImage ? (
+                        <img src={maskImage.dataUrl} className="w-10 h-10 object-cover rounded border border-zinc-700" />
+                    ) : (
+                        <span className="w-10 h-10 rounded border border-dashed border-zinc-700 flex items-center justify-center"><Upload size={12} /></span>
+                    )}
+                    {maskImage ? 'Replace Mask' : 'Upload Mask'}
+                    <input type="file" className="hidden" onChange={handleFile} accept="image/*" />
+                </label>
+            )}
+            {error && <p className="text-[10px] text-red-400">{error}</p>}
+
+            <button onClick={() => update({ invert: !settings.invert })} className={`${optionClass(settings.invert)} w-full flex items-center justify-center gap-1`}>
+                <FlipVertical2 size={10} /> Invert
+            </button>
+        </div>
+    );
+};
+
+export default MaskPanel;
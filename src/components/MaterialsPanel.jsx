@@ -0,0 +1,85 @@
+import React from 'react';
+import { Boxes, FileUp, X, FileSpreadsheet, Map as MapIcon } from 'lucide-react';
+import { toHexColor } from '../utils/color';
+
+const optionClass = (active) =>
+    `px-2 py-1.5 text-[9px] uppercase rounded border transition-all ${active ? 'bg-indigo-900/30 border-indigo-500 text-indigo-300' : 'bg-transparent border-zinc-700 text-zinc-400 hover:border-zinc-500'}`;
+
+/**
+ * Physical material palette for mosaic planning: load a tile/ink list, map
+ * every cell to it and export the bill of materials and a numbered cell map.
+ */
+const MaterialsPanel = ({ palette, metric, bom, error, onLoad, onClear, onMetricChange, onExportBom, onExportMap }) => {
+    const handleFile = (e) => {
+        const file = e.target.files[0];
+        if (file) onLoad(file);
+        e.target.value = '';
+    };
+
+    const total = bom ? bom.reduce((sum, row) => sum + row.count, 0) : 0;
+
+    return (
+        <div className="bg-zinc-900/50 p-4 rounded-lg border border-zinc-800 space-y-4">
+            <div className="flex justify-between items-center">
+                <h3 className="text-[10px] uppercase tracking-widest text-zinc-500 flex items-center gap-2">
+                    <Boxes size={12} /> Materials
+                </h3>
+                <div className="flex gap-2">
+                    <label className="cursor-pointer hover:text-indigo-400 transition-colors" title="Load JSON/CSV palette">
+                        <FileUp size={14} />
+                        <input type="file" className="hidden" onChange={handleFile} accept=".json,.csv,application/json,text/csv" />
+                    </label>
+                    {palette && (
+                        <button onClick={onClear} className="hover:text-red-400 transition-colors" title="Remove palette">
+                            <X size={14} />
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            {error && <p className="text-[10px] text-red-400">{error}</p>}
+
+            {!palette ? (
+                <p className="text-[10px] text-zinc-600">Load a JSON or CSV list of tile colours to plan a physical build.</p>
+            ) : (
+                <>
+                    <div className="flex justify-between items-center text-[10px] uppercase tracking-widest text-zinc-400">
+                        <span className="truncate">{palette.name}</span>
+                        <div className="flex gap-1">
+                            <button onClick={() => onMetricChange('rgb')} className={optionClass(metric === 'rgb')}>RGB</button>
+                            <button onClick={() => onMetricChange('lab')} className={optionClass(metric === 'lab')}>Lab</button>
+                        </div>
+                    </div>
+
+                    {bom && (
+                        <div className="max-h-48 overflow-y-auto scrollbar-thin space-y-1">
+                            {bom.map(row => (
+                                <div key={row.number} className={`flex items-center gap-2 text-[10px] ${row.count === 0 ? 'opacity-40' : ''}`}>
+                                    <span className="w-5 text-right text-zinc-500">{row.number}</span>
+                                    <span className="w-3 h-3 rounded-sm border border-zinc-700 shrink-0" style={{ backgroundColor: toHexColor(row.color) }} />
+                                    <span className="flex-1 truncate" title={row.sku}>{row.name}</span>
+                                    <span className="text-zinc-400">{row.count}</span>
+                                </div>
+                            ))}
+                            <div className="flex justify-between text-[10px] uppercase tracking-widest text-zinc-500 border-t border-zinc-800 pt-1">
+                                <span>Total</span>
+                                <span>{total}</span>
+                            </div>
+                        </div>
+                    )}
+
+                    <div className="grid grid-cols-2 gap-2">
+                        <button onClick={onExportBom} disabled={!bom} className={`${optionClass(false)} flex items-center justify-center gap-1`}>
+                            <FileSpreadsheet size={10} /> BOM
+                        </button>
+                        <button onClick={onExportMap} disabled={!bom} className={`${optionClass(false)} flex items-center justify-center gap-1`}>
+                            <MapIcon size={10} /> Cell Map
+                        </button>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default MaterialsPanel;
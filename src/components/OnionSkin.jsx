@@ -0,0 +1,69 @@
+import React, { useRef, useEffect } from 'react';
+import { drawSource } from '../utils/sources';
+
+/**
+ * Semi-transparent stack of the sources, laid over the preview canvas while
+ * aligning. The active source is drawn on top and follows pointer drags;
+ * `onMove` receives the drag as a fraction of the canvas size.
+ */
+const OnionSkin = ({ width, height, layers, activeIndex, onMove }) => {
+    const canvasRef = useRef(null);
+    const dragRef = useRef(null);
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, width, height);
+
+        const order = layers.map((_, i) => i).filter(i => i !== activeIndex).concat(activeIndex);
+        for (const i of order) {
+            if (!layers[i]) continue;
+            ctx.globalAlpha = i === activeIndex ? 0.6 : 0.35;
+            drawSource(ctx, layers[i].bitmap, width, height, layers[i].transform);
+        }
+        ctx.globalAlpha = 1;
+
+        // Centre guides, the pivot for zoom and rotation
+        ctx.strokeStyle = 'rgba(99, 102, 241, 0.8)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(width / 2, 0);
+        ctx.lineTo(width / 2, height);
+        ctx.moveTo(0, height / 2);
+        ctx.lineTo(width, height / 2);
+        ctx.stroke();
+    }, [width, height, layers, activeIndex]);
+
+    const handlePointerDown = (e) => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        dragRef.current = { x: e.clientX, y: e.clientY };
+    };
+
+    const handlePointerMove = (e) => {
+        const drag = dragRef.current;
+        if (!drag) return;
+        const rect = e.currentTarget.getBoundingClientRect();
+        onMove((e.clientX - drag.x) / rect.width, (e.clientY - drag.y) / rect.height);
+        dragRef.current = { x: e.clientX, y: e.clientY };
+    };
+
+    const handlePointerUp = () => {
+        dragRef.current = null;
+    };
+
+    return (
+        <canvas
+            ref={canvasRef}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+            className="absolute inset-0 m-auto max-h-full max-w-full cursor-move touch-none"
+        />
+    );
+};
+
+export default OnionSkin;
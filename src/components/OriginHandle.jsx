@@ -0,0 +1,75 @@
+import React, { useRef, useEffect } from 'react';
+
+/**
+ * Overlay for dragging the lattice origin on the preview. Draws the lattice
+ * axes through the origin; `onMove` receives drags as a fraction of the
+ * canvas size.
+ */
+const OriginHandle = ({ width, height, transform, onMove }) => {
+    const canvasRef = useRef(null);
+    const dragRef = useRef(null);
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, width, height);
+
+        const x = transform.originX * width;
+        const y = transform.originY * height;
+        const rad = (transform.rotation * Math.PI) / 180;
+        const reach = Math.hypot(width, height);
+        // Lattice x axis is the rotated x axis; the y axis is sheared before rotating
+        const axes = [
+            [Math.cos(rad), Math.sin(rad)],
+            [Math.cos(rad) * transform.shear - Math.sin(rad), Math.sin(rad) * transform.shear + Math.cos(rad)]
+        ];
+
+        ctx.strokeStyle = 'rgba(99, 102, 241, 0.8)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (const [dx, dy] of axes) {
+            const length = Math.hypot(dx, dy);
+            ctx.moveTo(x - (dx / length) * reach, y - (dy / length) * reach);
+            ctx.lineTo(x + (dx / length) * reach, y + (dy / length) * reach);
+        }
+        ctx.stroke();
+
+        ctx.fillStyle = 'rgba(99, 102, 241, 0.9)';
+        ctx.beginPath();
+        ctx.arc(x, y, 5, 0, Math.PI * 2);
+        ctx.fill();
+    }, [width, height, transform]);
+
+    const handlePointerDown = (e) => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        dragRef.current = { x: e.clientX, y: e.clientY };
+    };
+
+    const handlePointerMove = (e) => {
+        const drag = dragRef.current;
+        if (!drag) return;
+        const rect = e.currentTarget.getBoundingClientRect();
+        onMove((e.clientX - drag.x) / rect.width, (e.clientY - drag.y) / rect.height);
+        dragRef.current = { x: e.clientX, y: e.clientY };
+    };
+
+    const handlePointerUp = () => {
+        dragRef.current = null;
+    };
+
+    return (
+        <canvas
+            ref={canvasRef}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+            className="absolute inset-0 m-auto max-h-full max-w-full cursor-crosshair touch-none"
+        />
+    );
+};
+
+export default OriginHandle;
@@ -0,0 +1,93 @@
+import React from 'react';
+import { Palette, Lock, Unlock } from 'lucide-react';
+import { toHexColor, parseHexColor } from '../utils/color';
+
+const optionClass = (active) =>
+    `px-2 py-1.5 text-[9px] uppercase rounded border transition-all ${active ? 'bg-indigo-900/30 border-indigo-500 text-indigo-300' : 'bg-transparent border-zinc-700 text-zinc-400 hover:border-zinc-500'}`;
+
+/**
+ * Posterize stage controls: palette size, sharing, colour metric, dithering
+ * and the resulting swatches, which can be locked or recoloured.
+ */
+const PalettePanel = ({ settings, onChange, palettes, locks, labels, onLock }) => {
+    const update = (patch) => onChange({ ...settings, ...patch });
+
+    return (
+        <div className="bg-zinc-900/50 p-4 rounded-lg border border-zinc-800 space-y-4">
+            <div className="flex justify-between items-center">
+                <h3 className="text-[10px] uppercase tracking-widest text-zinc-500 flex items-center gap-2">
+                    <Palette size={12} /> Palette
+                </h3>
+                <button onClick={() => update({ enabled: !settings.enabled })} className={optionClass(settings.enabled)}>
+                    {settings.enabled ? 'On' : 'Off'}
+                </button>
+            </div>
+
+            {settings.enabled && (
+                <>
+                    <div className="space-y-3">
+                        <div className="flex justify-between text-[10px] uppercase tracking-widest text-zinc-500">
+                            <label>Colours</label>
+                            <span>{settings.count}</span>
+                        </div>
+                        <input
+                            type="range" min="2" max="32" step="1" value={settings.count}
+                            onChange={(e) => update({ count: Number(e.target.value) })}
+                            className="w-full appearance-none bg-zinc-800 h-1 rounded-full accent-indigo-500"
+                        />
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-2">
+                        <button onClick={() => update({ shared: true })} className={optionClass(settings.shared)}>Shared</button>
+                        <button onClick={() => update({ shared: false })} className={optionClass(!settings.shared)}>Per Source</button>
+                        <button onClick={() => update({ metric: 'rgb' })} className={optionClass(settings.metric === 'rgb')}>RGB</button>
+                        <button onClick={() => update({ metric: 'lab' })} className={optionClass(settings.metric === 'lab')}>Lab</button>
+                    </div>
+
+                    <div className="grid grid-cols-3 gap-2">
+                        {[
+                            { id: 'none', label: 'Flat' },
+                            { id: 'floyd-steinberg', label: 'F-S' },
+                            { id: 'ordered', label: 'Bayer' }
+                        ].map(d => (
+                            <button key={d.id} onClick={() => update({ dither: d.id })} className={optionClass(settings.dither === d.id)}>
+                                {d.label}
+                            </button>
+                        ))}
+                    </div>
+
+                    {palettes.map((palette, p) => (
+                        <div key={p} className="space-y-1">
+                            {palettes.length > 1 && <div className="text-[8px] uppercase text-zinc-600">{labels[p]}</div>}
+                            <div className="grid grid-cols-8 gap-1">
+                                {palette.map((color, slot) => {
+                                    const locked = Boolean(locks[p] && locks[p][slot]);
+                                    return (
+                                        <div key={slot} className={`relative aspect-square rounded border ${locked ? 'border-white' : 'border-zinc-700'}`} style={{ backgroundColor: toHexColor(color) }}>
+                                            <input
+                                                type="color"
+                                                value={toHexColor(color)}
+                                                onChange={(e) => onLock(p, slot, parseHexColor(e.target.value))}
+                                                className="absolute inset-0 opacity-0 cursor-pointer"
+                                                title="Edit swatch"
+                                            />
+                                            <button
+                                                onClick={() => onLock(p, slot, locked ? null : color)}
+                                                className="absolute -bottom-1 -right-1 bg-black/80 rounded p-px text-white"
+                                                title={locked ? 'Unlock' : 'Lock'}
+                                            >
+                                                {locked ? <Lock size={7} /> : <Unlock size={7} className="opacity-50" />}
+                                            </button>
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        </div>
+                    ))}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default PalettePanel;
@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { PenTool, Route, Download } from 'lucide-react';
+import { PLOT_FORMATS, PLOT_LAYERS, DEFAULT_PLOT_SETTINGS } from '../utils/plotter';
+import { PAPER_SIZES } from '../utils/export';
+
+const optionClass = (active) =>
+    `px-2 py-1.5 text-[9px] uppercase rounded border transition-all ${active ? 'bg-indigo-900/30 border-indigo-500 text-indigo-300' : 'bg-transparent border-zinc-700 text-zinc-400 hover:border-zinc-500'}`;
+
+const formatDuration = (seconds) => {
+    const minutes = Math.ceil(seconds / 60);
+    return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+const NumberField = ({ label, value, min, max, step, onChange }) => (
+    <label className="space-y-1">
+        <span>{label}</span>
+        <input
+            type="number" min={min} max={max} step={step} value={value}
+            onChange={(e) => onChange(Math.min(max, Math.max(min, Number(e.target.value) || min)))}
+            className="w-full bg-zinc-800 text-zinc-200 rounded px-2 py-1"
+        />
+    </label>
+);
+
+/**
+ * Pen-plotter export of the current scene: stipple dots or cell outlines,
+ * one pen per source or colour, in a travel-optimised order. Planning runs
+ * on demand since the tour is costly for large scenes.
+ */
+const PlotterPanel = ({ onEstimate, onExport }) => {
+    const [settings, setSettings] = useState(DEFAULT_PLOT_SETTINGS);
+    const [stats, setStats] = useState(null);
+    const [error, setError] = useState(null);
+
+    const update = (patch) => {
+        setSettings({ ...settings, ...patch });
+        setStats(null);
+    };
+
+    const run = (action) => {
+        setError(null);
+        try {
+            setStats(action(settings));
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="bg-zinc-900/50 p-4 rounded-lg border border-zinc-800 space-y-3">
+            <h3 className="text-[10px] uppercase tracking-widest text-zinc-500 flex items-center gap-2">
+                <PenTool size={12} /> Plotter
+            </h3>
+
+            <div className="grid grid-cols-3 gap-1">
+                {Object.keys(PLOT_FORMATS).map(f => (
+                    <button key={f} onClick={() => update({ format: f })} className={optionClass(settings.format === f)}>
+                        {f === 'gcode' ? 'G-code' : f}
+                    </button>
+                ))}
+            </div>
+
+            <div className="grid grid-cols-2 gap-1">
+                {PLOT_LAYERS.map(l => (
+                    <button key={l} onClick={() => update({ layerBy: l })} className={optionClass(settings.layerBy === l)}>
+                        Pen per {l}
+                    </button>
+                ))}
+            </div>
+
+            <div className="grid grid-cols-2 gap-3 text-[10px] uppercase tracking-widest text-zinc-500">
+                <label className="space-y-1">
+                    <span>Paper</span>
+                    <select value={settings.paper} onChange={(e) => update({ paper: e.target.value })} className="w-full bg-zinc-800 text-zinc-200 rounded px-2 py-1">
+                        {Object.keys(PAPER_SIZES).map(p => <option key={p} value={p}>{p}</option>)}
+                    </select>
+                </label>
+                <NumberField label="Margin (mm)" value={settings.margin} min={0} max={100} step={1} onChange={(margin) => update({ margin })} />
+                <NumberField label="Draw (mm/s)" value={settings.drawSpeed} min={1} max={500} step={1} onChange={(drawSpeed) => update({ drawSpeed })} />
+                <NumberField label="Travel (mm/s)" value={settings.travelSpeed} min={1} max={500} step={1} onChange={(travelSpeed) => update({ travelSpeed })} />
+                <NumberField label="Pen Delay (s)" value={settings.penDelay} min={0} max={2} step={0.05} onChange={(penDelay) => update({ penDelay })} />
+                {settings.layerBy === 'color' && (
+                    <NumberField label="Max Pens" value={settings.maxPens} min={1} max={32} step={1} onChange={(maxPens) => update({ maxPens: Math.round(maxPens) })} />
+                )}
+            </div>
+
+            {settings.format === 'gcode' && (
+                <div className="grid grid-cols-2 gap-3 text-[10px] uppercase tracking-widest text-zinc-500">
+                    <label className="space-y-1">
+                        <span>Pen Up</span>
+                        <input value={settings.penUp} onChange={(e) => update({ penUp: e.target.value })} className="w-full bg-zinc-800 text-zinc-200 rounded px-2 py-1 font-mono normal-case" />
+                    </label>
+                    <label className="space-y-1">
+                        <span>Pen Down</span>
+                        <input value={settings.penDown} onChange={(e) => update({ penDown: e.target.value })} className="w-full bg-zinc-800 text-zinc-200 rounded px-2 py-1 font-mono normal-case" />
+                    </label>
+                </div>
+            )}
+
+            {stats && (
+                <div className="text-[9px] uppercase tracking-widest text-zinc-500 flex justify-between">
+                    <span>{stats.paths} paths · {(stats.drawLength / 1000).toFixed(1)} m</span>
+                    <span className="text-indigo-300">~{formatDuration(stats.seconds)}</span>
+                </div>
+            )}
+            {error && <p className="text-[10px] text-red-400">{error}</p>}
+
+            <div className="grid grid-cols-2 gap-2">
+                <button onClick={() => run(onEstimate)} className={`${optionClass(false)} flex items-center justify-center gap-1`}>
+                    <Route size={10} /> Estimate
+                </button>
+                <button
+                    onClick={() => run(onExport)}
+                    className="py-1.5 bg-indigo-600 hover:bg-indigo-500 text-white rounded text-[9px] uppercase tracking-[0.2em] transition-all flex items-center justify-center gap-1"
+                >
+                    <Download size={10} /> Export
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default PlotterPanel;
@@ -0,0 +1,51 @@
+import React, { useState } from 'react';
+import { Bookmark, Link2, Check } from 'lucide-react';
+import { BUILT_IN_PRESETS } from '../utils/presets';
+
+/**
+ * Built-in parameter presets plus a button that copies a deep link to the
+ * current look (parameters only, not the sources).
+ */
+const PresetsPanel = ({ onApply, onCopyLink }) => {
+    const [copied, setCopied] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleCopy = async () => {
+        setError(null);
+        try {
+            await onCopyLink();
+            setCopied(true);
+            setTimeout(() => setCopied(false), 1500);
+        } catch (err) {
+            // The address bar always holds the same link
+            setError(`Could not copy the link (${err.message}); copy it from the address bar instead`);
+        }
+    };
+
+    return (
+        <div className="bg-zinc-900/50 p-4 rounded-lg border border-zinc-800 space-y-3">
+            <div className="flex justify-between items-center">
+                <h3 className="text-[10px] uppercase tracking-widest text-zinc-500 flex items-center gap-2">
+                    <Bookmark size={12} /> Presets
+                </h3>
+                <button onClick={handleCopy} className="text-[9px] uppercase tracking-widest flex items-center gap-1 hover:text-indigo-400 transition-colors" title="Copy link to these settings">
+                    {copied ? <Check size={12} /> : <Link2 size={12} />} {copied ? 'Copied' : 'Link'}
+                </button>
+            </div>
+            {error && <p className="text-[10px] text-red-400">{error}</p>}
+            <div className="grid grid-cols-2 gap-2">
+                {BUILT_IN_PRESETS.map(preset => (
+                    <button
+                        key={preset.name}
+                        onClick={() => onApply(preset.params)}
+                        className="px-2 py-2 text-[9px] uppercase rounded border border-zinc-700 text-zinc-400 hover:border-indigo-500 hover:text-indigo-300 transition-all"
+                    >
+                        {preset.name}
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default PresetsPanel;
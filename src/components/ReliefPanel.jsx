@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { Mountain, Download, FlipVertical2 } from 'lucide-react';
+import { RELIEF_FORMATS, RELIEF_HEIGHTS, DEFAULT_RELIEF_SETTINGS } from '../utils/relief';
+
+const optionClass = (active) =>
+    `px-2 py-1.5 text-[9px] uppercase rounded border transition-all ${active ? 'bg-indigo-900/30 border-indigo-500 text-indigo-300' : 'bg-transparent border-zinc-700 text-zinc-400 hover:border-zinc-500'}`;
+
+const NumberField = ({ label, value, min, max, step, onChange }) => (
+    <label className="space-y-1">
+        <span>{label}</span>
+        <input
+            type="number" min={min} max={max} step={step} value={value}
+            onChange={(e) => onChange(Math.min(max, Math.max(min, Number(e.target.value) || min)))}
+            className="w-full bg-zinc-800 text-zinc-200 rounded px-2 py-1"
+        />
+    </label>
+);
+
+/**
+ * 3D relief export for printing or milling tiles: cells become prisms on a
+ * base plate, with heights from brightness or from one source.
+ */
+const ReliefPanel = ({ sourceCount, onExport }) => {
+    const [settings, setSettings] = useState(DEFAULT_RELIEF_SETTINGS);
+    const [stats, setStats] = useState(null);
+    const [error, setError] = useState(null);
+    // Sources may have been removed since one was picked
+    const source = Math.min(settings.source, Math.max(0, sourceCount - 1));
+
+    const update = (patch) => {
+        setSettings({ ...settings, ...patch });
+        setStats(null);
+    };
+
+    const run = async () => {
+        setError(null);
+        try {
+            setStats(await onExport({ ...settings, source }));
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="bg-zinc-900/50 p-4 rounded-lg border border-zinc-800 space-y-3">
+            <h3 className="text-[10px] uppercase tracking-widest text-zinc-500 flex items-center gap-2">
+                <Mountain size={12} /> 3D Relief
+            </h3>
+
+            <div className="grid grid-cols-3 gap-1">
+                {Object.entries(RELIEF_FORMATS).map(([f, format]) => (
+                    <button key={f} onClick={() => update({ format: f })} className={optionClass(settings.format === f)}>
+                        {format.label}
+                    </button>
+                ))}
+            </div>
+
+            <div className="grid grid-cols-2 gap-1">
+                {RELIEF_HEIGHTS.map(h => (
+                    <button key={h} onClick={() => update({ heightBy: h })} className={optionClass(settings.heightBy === h)}>
+                        Height by {h}
+                    </button>
+                ))}
+            </div>
+
+            {settings.heightBy === 'source' && (
+                <div className="grid grid-cols-4 gap-1">
+                    {Array.from({ length: sourceCount }, (_, idx) => (
+                        <button key={idx} onClick={() => update({ source: idx })} className={optionClass(source === idx)}>
+                            SRC {idx + 1}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            <button onClick={() => update({ invert: !settings.invert })} className={`${optionClass(settings.invert)} w-full flex items-center justify-center gap-1`}>
+                <FlipVertical2 size={10} /> {settings.invert ? 'Low cells raised' : 'High cells raised'}
+            </button>
+
+            <div className="grid grid-cols-2 gap-3 text-[10px] uppercase tracking-widest text-zinc-500">
+                <NumberField label="Width (mm)" value={settings.width} min={10} max={2000} step={1} onChange={(width) => update({ width })} />
+                <NumberField label="Base (mm)" value={settings.base} min={0} max={50} step={0.2} onChange={(base) => update({ base })} />
+                <NumberField label="Min H (mm)" value={settings.minHeight} min={0} max={100} step={0.1} onChange={(minHeight) => update({ minHeight })} />
+                <NumberField label="Max H (mm)" value={settings.maxHeight} min={0} max={100} step={0.1} onChange={(maxHeight) => update({ maxHeight })} />
+            </div>
+
+            {stats && (
+                <div className="text-[9px] uppercase tracking-widest text-zinc-500 flex justify-between">
+                    <span>{stats.cells} cells · {stats.triangles} tris</span>
+                    <span className="text-indigo-300">{stats.size.map(v => v.toFixed(1)).join(' × ')} mm</span>
+                </div>
+            )}
+            {error && <p className="text-[10px] text-red-400">{error}</p>}
+
+            <button
+                onClick={run}
+                className="w-full py-1.5 bg-indigo-600 hover:bg-indigo-500 text-white rounded text-[9px] uppercase tracking-[0.2em] transition-all flex items-center justify-center gap-1"
+            >
+                <Download size={10} /> Export
+            </button>
+        </div>
+    );
+};
+
+export default ReliefPanel;
@@ -0,0 +1,67 @@
+import React from 'react';
+import { Brush, RotateCcw, FlipVertical2 } from 'lucide-react';
+import { DEFAULT_CELL_STYLE } from '../utils/styling';
+
+const optionClass = (active) =>
+    `px-2 py-1.5 text-[9px] uppercase rounded border transition-all ${active ? 'bg-indigo-900/30 border-indigo-500 text-indigo-300' : 'bg-transparent border-zinc-700 text-zinc-400 hover:border-zinc-500'}`;
+
+const Swatch = ({ label, value, onChange }) => (
+    <label className="flex items-center justify-between text-[10px] uppercase tracking-widest text-zinc-500">
+        {label}
+        <span className="relative w-8 h-4 rounded border border-zinc-700" style={{ backgroundColor: value }}>
+            <input type="color" value={value} onChange={(e) => onChange(e.target.value)} className="absolute inset-0 opacity-0 cursor-pointer" />
+        </span>
+    </label>
+);
+
+const Slider = ({ label, value, display, min, max, step, onChange }) => (
+    <div className="space-y-2">
+        <div className="flex justify-between text-[10px] uppercase tracking-widest text-zinc-500">
+            <label>{label}</label>
+            <span>{display}</span>
+        </div>
+        <input
+            type="range" min={min} max={max} step={step} value={value}
+            onChange={(e) => onChange(Number(e.target.value))}
+            className="w-full appearance-none bg-zinc-800 h-1 rounded-full accent-indigo-500"
+        />
+    </div>
+);
+
+/**
+ * Cell styling for every mode: gap and outline colours, corner rounding,
+ * bevel shading and brightness-driven cell size.
+ */
+const StylePanel = ({ style, onChange }) => {
+    const update = (patch) => onChange({ ...style, ...patch });
+    const percent = (v) => `${Math.round(v * 100)}%`;
+
+    return (
+        <div className="bg-zinc-900/50 p-4 rounded-lg border border-zinc-800 space-y-3">
+            <div className="flex justify-between items-center">
+                <h3 className="text-[10px] uppercase tracking-widest text-zinc-500 flex items-center gap-2">
+                    <Brush size={12} /> Cell Style
+                </h3>
+                <button onClick={() => onChange(DEFAULT_CELL_STYLE)} title="Reset" className="text-zinc-500 hover:text-indigo-400 transition-colors">
+                    <RotateCcw size={12} />
+                </button>
+            </div>
+
+            <Swatch label="Gap Colour" value={style.background} onChange={(background) => update({ background })} />
+            <Swatch label="Outline Colour" value={style.outlineColor} onChange={(outlineColor) => update({ outlineColor })} />
+
+            <Slider label="Outline" value={style.outlineWidth} display={style.outlineWidth} min="0" max="6" step="0.5" onChange={(outlineWidth) => update({ outlineWidth })} />
+            <Slider label="Rounding" value={style.rounding} display={percent(style.rounding)} min="0" max="1" step="0.05" onChange={(rounding) => update({ rounding })} />
+            <Slider label="Bevel" value={style.bevel} display={percent(style.bevel)} min="0" max="0.5" step="0.01" onChange={(bevel) => update({ bevel })} />
+            <Slider label="Size by Brightness" value={style.modulation} display={percent(style.modulation)} min="0" max="1" step="0.05" onChange={(modulation) => update({ modulation })} />
+
+            {style.modulation > 0 && (
+                <button onClick={() => update({ modulationInvert: !style.modulationInvert })} className={`${optionClass(style.modulationInvert)} w-full flex items-center justify-center gap-1`}>
+                    <FlipVertical2 size={10} /> {style.modulationInvert ? 'Dark cells shrink' : 'Light cells shrink'}
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default StylePanel;
@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import { Film, Plus, Trash2, Activity, Download } from 'lucide-react';
+import { ANIMATED_PARAMS, EASINGS } from '../utils/animation';
+import { ANIMATION_FORMATS } from '../utils/encoders';
+
+const FPS_OPTIONS = [8, 12, 24, 30];
+const FRAME_WIDTHS = [320, 480, 720, 1000];
+
+const optionClass = (active) =>
+    `px-2 py-1.5 text-[9px] uppercase rounded border transition-all ${active ? 'bg-indigo-900/30 border-indigo-500 text-indigo-300' : 'bg-transparent border-zinc-700 text-zinc-400 hover:border-zinc-500'}`;
+
+// Keyframes saved before a track existed have no value for it
+const formatValue = (name, value) => {
+    if (value === undefined) return '–';
+    return Number.isInteger(value) ? value : value.toFixed(ANIMATED_PARAMS[name].digits || 1);
+};
+
+/**
+ * Keyframe timeline for animated exports. Scrubbing applies the interpolated
+ * values to the live parameters, and adding a keyframe captures them at the
+ * playhead, so keyframes are edited by scrubbing, adjusting and re-keying.
+ */
+const TimelinePanel = ({ animation, onChange, mode, onScrub, onAddKeyframe, onRelaxation, onExport }) => {
+    const [time, setTime] = useState(0);
+    const [format, setFormat] = useState('gif');
+    const [frameWidth, setFrameWidth] = useState(480);
+    const [progress, setProgress] = useState(null);
+    const [error, setError] = useState(null);
+
+    const { duration, fps, easing, keyframes } = animation;
+    const update = (patch) => onChange({ ...animation, ...patch });
+    const tracks = Object.entries(ANIMATED_PARAMS).filter(([, track]) => !track.modes || track.modes.includes(mode));
+    const isBusy = progress !== null;
+
+    const scrub = (t) => {
+        setTime(t);
+        onScrub(t);
+    };
+
+    const removeKeyframe = (index) => update({ keyframes: keyframes.filter((_, i) => i !== index) });
+
+    const handleExport = async () => {
+        setError(null);
+        setProgress(0);
+        try {
+            await onExport({ format, width: frameWidth }, setProgress);
+        } catch (err) {
+            setError(err.message);
+        }
+        setProgress(null);
+    };
+
+    return (
+        <div className="bg-zinc-900/50 p-4 rounded-lg border border-zinc-800 space-y-4">
+            <h3 className="text-[10px] uppercase tracking-widest text-zinc-500 flex items-center gap-2">
+                <Film size={12} /> Timeline
+            </h3>
+
+            <div className="space-y-2">
+                <div className="flex justify-between text-[10px] uppercase tracking-widest text-zinc-500">
+                    <label>Playhead</label>
+                    <span>{time.toFixed(2)}s / {duration}s</span>
+                </div>
+                <input
+                    type="range" min="0" max={duration} step={1 / fps} value={time}
+                    onChange={(e) => scrub(Number(e.target.value))}
+                    disabled={keyframes.length === 0}
+                    className="w-full appearance-none bg-zinc-800 h-1 rounded-full accent-indigo-500 disabled:opacity-40"
+                />
+            </div>
+
+            <div className="grid grid-cols-2 gap-2">
+                <button onClick={() => onAddKeyframe(time)} className={`${optionClass(false)} flex items-center justify-center gap-1`}>
+                    <Plus size={10} /> Keyframe
+                </button>
+                <button
+                    onClick={onRelaxation}
+                    disabled={mode !== 'stipple'}
+                    title="One frame per relaxation iteration"
+                    className={`${optionClass(false)} flex items-center justify-center gap-1 disabled:opacity-40`}
+                >
+                    <Activity size={10} /> Relaxation
+                </button>
+            </div>
+
+            {keyframes.length > 0 && (
+                <div className="space-y-1 max-h-32 overflow-y-auto scrollbar-thin">
+                    {keyframes.map((keyframe, i) => (
+                        <div key={`${keyframe.time}-${i}`} className="flex items-center gap-2 text-[9px] text-zinc-400">
+                            <button onClick={() => scrub(keyframe.time)} className="w-10 text-left text-indigo-300 hover:text-indigo-200">
+                                {keyframe.time.toFixed(2)}s
+                            </button>
+                            <span className="flex-1 truncate">
+                                {tracks.map(([name, track]) => `${track.label} ${formatValue(name, keyframe.values[name])}`).join(' · ')}
+                            </span>
+                            <button onClick={() => removeKeyframe(i)} className="text-zinc-600 hover:text-red-400">
+                                <Trash2 size={10} />
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <div className="grid grid-cols-2 gap-3 text-[10px] uppercase tracking-widest text-zinc-500">
+                <label className="space-y-1">
+                    <span>Duration (s)</span>
+                    <input
+                        type="number" min="0.5" max="60" step="0.5" value={duration}
+                        onChange={(e) => update({ duration: Math.min(60, Math.max(0.5, Number(e.target.value) || 0.5)) })}
+                        className="w-full bg-zinc-800 text-zinc-200 rounded px-2 py-1"
+                    />
+                </label>
+                <label className="space-y-1">
+                    <span>FPS</span>
+                    <select value={fps} onChange={(e) => update({ fps: Number(e.target.value) })} className="w-full bg-zinc-800 text-zinc-200 rounded px-2 py-1">
+                        {FPS_OPTIONS.map(f => <option key={f} value={f}>{f}</option>)}
+                    </select>
+                </label>
+            </div>
+
+            <div className="grid grid-cols-2 gap-1">
+                {Object.keys(EASINGS).map(e => (
+                    <button key={e} onClick={() => update({ easing: e })} className={optionClass(easing === e)}>
+                        {e}
+                    </button>
+                ))}
+            </div>
+
+            <div className="pt-3 border-t border-zinc-800 space-y-3">
+                <div className="grid grid-cols-3 gap-1">
+                    {ANIMATION_FORMATS.map(f => (
+                        <button key={f} onClick={() => setFormat(f)} className={optionClass(format === f)}>
+                            {f === 'png' ? 'PNG Seq' : f}
+                        </button>
+                    ))}
+                </div>
+                <label className="flex items-center justify-between text-[10px] uppercase tracking-widest text-zinc-500">
+                    <span>Width</span>
+                    <select value={frameWidth} onChange={(e) => setFrameWidth(Number(e.target.value))} className="bg-zinc-800 text-zinc-200 rounded px-2 py-1">
+                        {FRAME_WIDTHS.map(w => <option key={w} value={w}>{w}px</option>)}
+                    </select>
+                </label>
+
+                {isBusy && (
+                    <div className="h-1 bg-zinc-800 rounded-full overflow-hidden">
+                        <div className="h-full bg-indigo-500 transition-all" style={{ width: `${Math.round(progress * 100)}%` }} />
+                    </div>
+                )}
+                {error && <p className="text-[10px] text-red-400">{error}</p>}
+
+                <button
+                    onClick={handleExport}
+                    disabled={isBusy || keyframes.length < 2}
+                    className="w-full py-2 bg-indigo-600 hover:bg-indigo-500 disabled:opacity-40 text-white rounded text-[10px] uppercase tracking-[0.2em] transition-all flex items-center justify-center gap-2"
+                >
+                    <Download size={12} /> {isBusy ? `Rendering ${Math.round(progress * 100)}%` : 'Export Animation'}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default TimelinePanel;
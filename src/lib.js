@@ -0,0 +1,12 @@
+// Headless entry point: the DOM-free pipeline and its outputs, for use in
+// Node or any other environment that can supply RGBA buffers. Drawing and
+// reading sources still need a 2D context, e.g. from @napi-rs/canvas.
+export { runPipeline, pipelineParams, resizeParams, DEFAULT_PARAMS, REFERENCE_WIDTH } from './utils/pipeline';
+export { buildScene } from './utils/scene';
+export { drawScene } from './utils/draw';
+export { drawSource, DEFAULT_SOURCE_TRANSFORM } from './utils/sources';
+export { sceneToSvg, sceneToCellMapSvg } from './utils/svg';
+export { planPlot, writePlot, DEFAULT_PLOT_SETTINGS } from './utils/plotter';
+export { planRelief, writeRelief, DEFAULT_RELIEF_SETTINGS } from './utils/relief';
+export { parseProject } from './utils/project';
+export { MODES, PATTERNS, BUILT_IN_PRESETS } from './utils/presets';
@@ -0,0 +1,150 @@
+import { forEachPolygonSpan } from './sampling';
+
+export const ADAPTIVE_SHAPES = ['square', 'triangle', 'voronoi'];
+
+const SQRT3 = Math.sqrt(3);
+
+const centroid = (polygon) => {
+    let x = 0;
+    let y = 0;
+    for (const [px, py] of polygon) {
+        x += px;
+        y += py;
+    }
+    return [x / polygon.length, y / polygon.length];
+};
+
+const midpoint = (a, b) => [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+
+/**
+ * Detail inside a polygon: the standard deviation of luminance (0..1) over
+ * its pixels, the highest of any source so detail in either image counts.
+ * @param {Uint8ClampedArray[]} imagePixelData
+ * @param {number} width
+ * @param {number} height
+ * @param {Array<[number, number]>} polygon
+ * @returns {number}
+ */
+const detailOf = (imagePixelData, width, height, polygon) => {
+    let detail = 0;
+    for (const pixels of imagePixelData) {
+        let count = 0;
+        let sum = 0;
+        let sumSq = 0;
+        forEachPolygonSpan(polygon, width, height, (y, x0, x1) => {
+            for (let idx = (y * width + x0) * 4, end = (y * width + x1) * 4; idx <= end; idx += 4) {
+                const l = (pixels[idx] * 0.299 + pixels[idx + 1] * 0.587 + pixels[idx + 2] * 0.114) / 255;
+                sum += l;
+                sumSq += l * l;
+                count++;
+            }
+        });
+        if (count > 1) {
+            const mean = sum / count;
+            detail = Math.max(detail, Math.sqrt(Math.max(0, sumSq / count - mean * mean)));
+        }
+    }
+    return detail;
+};
+
+const splitSquare = ([[x0, y0], [x1], [, y1]]) => {
+    const mx = (x0 + x1) / 2;
+    const my = (y0 + y1) / 2;
+    return [
+        [[x0, y0], [mx, y0], [mx, my], [x0, my]],
+        [[mx, y0], [x1, y0], [x1, my], [mx, my]],
+        [[x0, my], [mx, my], [mx, y1], [x0, y1]],
+        [[mx, my], [x1, my], [x1, y1], [mx, y1]]
+    ];
+};
+
+// Midpoint subdivision: three corner triangles and the inverted one between them
+const splitTriangle = ([a, b, c]) => {
+    const ab = midpoint(a, b);
+    const bc = midpoint(b, c);
+    const ca = midpoint(c, a);
+    return [[a, ab, ca], [ab, b, bc], [ca, bc, c], [ab, bc, ca]];
+};
+
+const squareRoots = (width, height, size) => {
+    const roots = [];
+    for (let y = 0; y < height; y += size) {
+        for (let x = 0; x < width; x += size) {
+            roots.push([[x, y], [x + size, y], [x + size, y + size], [x, y + size]]);
+        }
+    }
+    return roots;
+};
+
+// Rows of alternating up and down equilateral triangles
+const triangleRoots = (width, height, size) => {
+    const roots = [];
+    const h = (size * SQRT3) / 2;
+    for (let y = 0; y < height; y += h) {
+        for (let x = -size / 2; x < width; x += size) {
+            roots.push([[x, y + h], [x + size / 2, y], [x + size, y + h]]);
+            roots.push([[x + size / 2, y], [x + size * 1.5, y], [x + size, y + h]]);
+        }
+    }
+    return roots;
+};
+
+/**
+ * Splits cells recursively while their detail exceeds the threshold and the
+ * children would not be smaller than `minSize`. Flat areas keep large cells,
+ * busy ones end up at the minimum size.
+ *
+ * Leaves come back like lattice cells, `{ polygon, x, y, col, row }`, with
+ * grid indices counted at the leaf's own size so the alternation patterns
+ * still apply at every level.
+ *
+ * @param {Uint8ClampedArray[]} imagePixelData
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} options
+ * @param {'square'|'triangle'} options.shape
+ * @param {number} options.threshold Luminance standard deviation (0..1) above which a cell splits
+ * @param {number} options.minSize Smallest cell edge, in pixels
+ * @param {number} options.maxSize Starting cell edge, in pixels
+ * @returns {Array<{ polygon: Array<[number, number]>, x: number, y: number, col: number, row: number }>}
+ */
+export const adaptiveCells = (imagePixelData, width, height, { shape, threshold, minSize, maxSize }) => {
+    const isTriangle = shape === 'triangle';
+    const split = isTriangle ? splitTriangle : splitSquare;
+    const rootSize = Math.max(minSize, maxSize);
+    const cells = [];
+
+    const visit = (polygon, size) => {
+        if (size / 2 >= minSize && detailOf(imagePixelData, width, height, polygon) > threshold) {
+            for (const child of split(polygon)) visit(child, size / 2);
+            return;
+        }
+        const [x, y] = centroid(polygon);
+        const rowHeight = isTriangle ? (size * SQRT3) / 2 : size;
+        cells.push({ polygon, x, y, col: Math.floor(x / (isTriangle ? size / 2 : size)), row: Math.floor(y / rowHeight) });
+    };
+
+    const roots = isTriangle ? triangleRoots(width, height, rootSize) : squareRoots(width, height, rootSize);
+    for (const root of roots) visit(root, rootSize);
+    return cells;
+};
+
+/**
+ * Voronoi seeds spaced by local detail: one seed placed at random inside every
+ * leaf of the square subdivision.
+ * @param {Uint8ClampedArray[]} imagePixelData
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} options Same as `adaptiveCells`
+ * @param {() => number} random
+ * @returns {Array<[number, number]>}
+ */
+export const adaptiveSeeds = (imagePixelData, width, height, options, random) => (
+    adaptiveCells(imagePixelData, width, height, { ...options, shape: 'square' }).map(({ polygon }) => {
+        const [[x0, y0], [x1], [, y1]] = polygon;
+        return [
+            Math.min(width, x0 + random() * (x1 - x0)),
+            Math.min(height, y0 + random() * (y1 - y0))
+        ];
+    })
+);
@@ -0,0 +1,129 @@
+import { LATTICES } from './lattices';
+
+const LATTICE_MODES = Object.keys(LATTICES);
+
+/**
+ * Parameters a keyframe can drive. Integer tracks are rounded after
+ * interpolation; `modes` limits a track to the modes where it has an effect;
+ * `digits` is how many decimals the timeline shows.
+ */
+export const ANIMATED_PARAMS = {
+    scale: { label: 'Scale', min: 4, max: 80 },
+    gap: { label: 'Gap', min: 0, max: 10 },
+    morph: { label: 'Morph', min: 0, max: 1, digits: 2 },
+    stippleIterations: { label: 'Relax', min: 0, max: 20, integer: true, modes: ['stipple'] },
+    pointCount: { label: 'Dots', min: 200, max: 500000, integer: true, modes: ['stipple'] },
+    adaptiveThreshold: { label: 'Detail', min: 0.01, max: 0.3, digits: 2, modes: ['adaptive'] },
+    lowPolyThreshold: { label: 'Edges', min: 0.02, max: 0.9, digits: 2, modes: ['lowpoly'] },
+    rotation: { label: 'Rotation', min: -180, max: 180, modes: LATTICE_MODES },
+    shear: { label: 'Shear', min: -1, max: 1, digits: 2, modes: LATTICE_MODES },
+    maskAngle: { label: 'Mask Angle', min: 0, max: 359 }
+};
+
+export const EASINGS = {
+    linear: (t) => t,
+    smooth: (t) => t * t * (3 - 2 * t)
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Picks the animatable values out of the current parameters, for a new keyframe.
+ * @param {Object} params Rendering parameters (scale, gap, morph, stippleIterations, pointCount,
+ *   adaptive, lowPoly, latticeTransform, mask)
+ * @returns {Object} One value per key of ANIMATED_PARAMS
+ */
+export const captureKeyframeValues = ({ scale, gap, morph = 0, stippleIterations, pointCount, adaptive, lowPoly, latticeTransform, mask }) => ({
+    scale,
+    gap,
+    morph,
+    stippleIterations,
+    pointCount,
+    adaptiveThreshold: adaptive ? adaptive.threshold : undefined,
+    lowPolyThreshold: lowPoly ? lowPoly.threshold : undefined,
+    rotation: latticeTransform ? latticeTransform.rotation : 0,
+    shear: latticeTransform ? latticeTransform.shear : 0,
+    maskAngle: mask ? mask.angle : 0
+});
+
+/**
+ * Interpolates the keyframes at a point in time. Before the first and after
+ * the last keyframe the values hold.
+ * @param {Array<{ time: number, values: Object }>} keyframes Sorted by time
+ * @param {number} time Seconds
+ * @param {keyof EASINGS} [easing]
+ * @returns {?Object} Values keyed like ANIMATED_PARAMS, null without keyframes
+ */
+export const interpolateKeyframes = (keyframes, time, easing = 'linear') => {
+    if (keyframes.length === 0) return null;
+
+    let next = keyframes.findIndex(k => k.time > time);
+    if (next === -1) next = keyframes.length - 1;
+    const prev = Math.max(0, next - 1);
+    const a = keyframes[prev];
+    const b = keyframes[next];
+    const span = b.time - a.time;
+    const t = span > 0 ? (EASINGS[easing] || EASINGS.linear)(clamp((time - a.time) / span, 0, 1)) : 0;
+
+    const values = {};
+    for (const [name, track] of Object.entries(ANIMATED_PARAMS)) {
+        const from = a.values[name];
+        const to = b.values[name];
+        if (from === undefined || to === undefined) continue;
+        const value = clamp(from + (to - from) * t, track.min, track.max);
+        values[name] = track.integer ? Math.round(value) : value;
+    }
+    return values;
+};
+
+// Tracks that live inside one of the settings objects: track -> [object, field]
+const NESTED_TRACKS = {
+    maskAngle: ['mask', 'angle'],
+    adaptiveThreshold: ['adaptive', 'threshold'],
+    lowPolyThreshold: ['lowPoly', 'threshold'],
+    rotation: ['latticeTransform', 'rotation'],
+    shear: ['latticeTransform', 'shear']
+};
+
+/**
+ * Merges interpolated keyframe values over the scene parameters. Settings
+ * objects only change when one of their tracks is keyed.
+ * @param {Object} params `buildScene` options
+ * @param {Object} values From `interpolateKeyframes`
+ * @returns {Object}
+ */
+export const applyKeyframeValues = (params, values) => {
+    const result = { ...params };
+    for (const [name, value] of Object.entries(values)) {
+        const nested = NESTED_TRACKS[name];
+        if (!nested) {
+            result[name] = value;
+        } else if (result[nested[0]]) {
+            result[nested[0]] = { ...result[nested[0]], [nested[1]]: value };
+        }
+    }
+    return result;
+};
+
+/**
+ * @param {number} duration Seconds
+ * @param {number} fps
+ * @returns {number[]} The time of every frame, first and last keyframe included
+ */
+export const frameTimes = (duration, fps) => {
+    const count = Math.max(2, Math.round(duration * fps) + 1);
+    return Array.from({ length: count }, (_, i) => (duration * i) / (count - 1));
+};
+
+/**
+ * Two keyframes that replay the stipple relaxation one iteration per step,
+ * from the seeded points to `iterations` rounds of `relaxPoints`.
+ * @param {Object} values Current keyframe values
+ * @param {number} iterations
+ * @param {number} fps
+ * @returns {Array<{ time: number, values: Object }>}
+ */
+export const relaxationKeyframes = (values, iterations, fps) => [
+    { time: 0, values: { ...values, stippleIterations: 0 } },
+    { time: Math.max(1, iterations) / fps, values: { ...values, stippleIterations: iterations } }
+];
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { interpolateKeyframes, applyKeyframeValues, captureKeyframeValues, frameTimes, relaxationKeyframes } from './animation';
+
+const keyframes = [
+    { time: 0, values: { scale: 10, gap: 0, stippleIterations: 0, rotation: -30 } },
+    { time: 2, values: { scale: 30, gap: 4, stippleIterations: 5, rotation: 30 } }
+];
+
+describe('interpolateKeyframes', () => {
+    it('returns null without keyframes', () => {
+        expect(interpolateKeyframes([], 1)).toBeNull();
+    });
+
+    it('interpolates between keyframes and holds outside them', () => {
+        expect(interpolateKeyframes(keyframes, 1)).toMatchObject({ scale: 20, gap: 2, rotation: 0 });
+        expect(interpolateKeyframes(keyframes, -1).scale).toBe(10);
+        expect(interpolateKeyframes(keyframes, 5).scale).toBe(30);
+    });
+
+    it('rounds integer tracks', () => {
+        expect(interpolateKeyframes(keyframes, 0.5).stippleIterations).toBe(1);
+    });
+
+    it('clamps to the track range', () => {
+        const values = interpolateKeyframes([{ time: 0, values: { scale: 500 } }, { time: 1, values: { scale: 500 } }], 0.5);
+        expect(values.scale).toBe(80);
+    });
+
+    it('skips tracks missing from either keyframe', () => {
+        const values = interpolateKeyframes([{ time: 0, values: { scale: 10 } }, { time: 1, values: { scale: 20, pointCount: 900 } }], 0.5);
+        expect(values).toEqual({ scale: 15 });
+    });
+
+    it('eases without moving the end points', () => {
+        expect(interpolateKeyframes(keyframes, 0, 'smooth').scale).toBe(10);
+        expect(interpolateKeyframes(keyframes, 2, 'smooth').scale).toBe(30);
+        expect(interpolateKeyframes(keyframes, 0.5, 'smooth').scale).toBeLessThan(15);
+    });
+});
+
+describe('applyKeyframeValues', () => {
+    const params = {
+        scale: 12,
+        adaptive: { threshold: 0.1, minSize: 4 },
+        lowPoly: { threshold: 0.2 },
+        latticeTransform: { rotation: 0, shear: 0, originX: 0.5 },
+        mask: { type: 'linear', angle: 0 }
+    };
+
+    it('writes nested tracks into their settings objects', () => {
+        const result = applyKeyframeValues(params, { scale: 20, adaptiveThreshold: 0.05, rotation: 45, maskAngle: 90 });
+        expect(result.scale).toBe(20);
+        expect(result.adaptive).toEqual({ threshold: 0.05, minSize: 4 });
+        expect(result.latticeTransform).toEqual({ rotation: 45, shear: 0, originX: 0.5 });
+        expect(result.mask.angle).toBe(90);
+        expect(params.adaptive.threshold).toBe(0.1);
+    });
+
+    it('leaves unkeyed settings objects untouched', () => {
+        const result = applyKeyframeValues(params, { scale: 20 });
+        expect(result.lowPoly).toBe(params.lowPoly);
+        expect(result.latticeTransform).toBe(params.latticeTransform);
+    });
+
+    it('round-trips captured values', () => {
+        const values = captureKeyframeValues({ ...params, gap: 1, stippleIterations: 3, pointCount: 4000 });
+        expect(applyKeyframeValues(params, values)).toMatchObject({ ...params, gap: 1, stippleIterations: 3, pointCount: 4000 });
+    });
+});
+
+describe('frameTimes', () => {
+    it('includes both ends', () => {
+        expect(frameTimes(1, 4)).toEqual([0, 0.25, 0.5, 0.75, 1]);
+        expect(frameTimes(0, 12)).toEqual([0, 0]);
+    });
+});
+
+describe('relaxationKeyframes', () => {
+    it('steps one iteration per frame', () => {
+        const [from, to] = relaxationKeyframes({ scale: 12 }, 6, 12);
+        expect(from).toEqual({ time: 0, values: { scale: 12, stippleIterations: 0 } });
+        expect(to).toEqual({ time: 0.5, values: { scale: 12, stippleIterations: 6 } });
+    });
+});
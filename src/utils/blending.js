@@ -0,0 +1,84 @@
+export const BLEND_MODES = ['none', 'average', 'multiply', 'screen', 'difference', 'luminosity'];
+
+// Luminosity as defined for the CSS/Canvas 'luminosity' blend mode
+const lum = ([r, g, b]) => 0.3 * r + 0.59 * g + 0.11 * b;
+
+// Brings a colour back into gamut while keeping its luminosity
+const clipColor = (color) => {
+    const l = lum(color);
+    const n = Math.min(...color);
+    const x = Math.max(...color);
+    let c = color;
+    if (n < 0) c = c.map(v => l + ((v - l) * l) / (l - n));
+    if (x > 255) c = c.map(v => l + ((v - l) * (255 - l)) / (x - l));
+    return c;
+};
+
+const setLum = (color, l) => {
+    const d = l - lum(color);
+    return clipColor(color.map(v => v + d));
+};
+
+const mix = (a, b, t) => a.map((v, i) => v + (b[i] - v) * t);
+
+/**
+ * Mixes the colours every source gives a cell into one.
+ *
+ * - `average`: weighted mean
+ * - `multiply`, `screen`, `difference`: the usual layer modes, folded over the
+ *   sources in order; a weight below 1 fades that source toward the mode's
+ *   neutral colour (white for multiply, black for the others)
+ * - `luminosity`: hue and saturation of the weighted mean of sources 2..n,
+ *   with the luminance of source 1; source 1's weight sets how much of its
+ *   luminance is taken
+ *
+ * @param {Array<[number, number, number]>} colors One per source
+ * @param {number[]} weights One per source, 0..1
+ * @param {string} mode One of BLEND_MODES except 'none'
+ * @returns {[number, number, number]}
+ */
+export const blendColors = (colors, weights, mode) => {
+    const weightOf = (i) => (weights[i] === undefined ? 1 : weights[i]);
+    let result;
+
+    if (mode === 'multiply') {
+        result = [255, 255, 255];
+        colors.forEach((color, i) => {
+            const layer = mix([255, 255, 255], color, weightOf(i));
+            result = result.map((v, c) => (v * layer[c]) / 255);
+        });
+    } else if (mode === 'screen') {
+        result = [0, 0, 0];
+        colors.forEach((color, i) => {
+            const layer = color.map(v => v * weightOf(i));
+            result = result.map((v, c) => 255 - ((255 - v) * (255 - layer[c])) / 255);
+        });
+    } else if (mode === 'difference') {
+        result = colors[0].map(v => v * weightOf(0));
+        for (let i = 1; i < colors.length; i++) {
+            const w = weightOf(i);
+            result = result.map((v, c) => Math.abs(v - colors[i][c] * w));
+        }
+    } else {
+        const mean = (from) => {
+            const sum = [0, 0, 0];
+            let total = 0;
+            for (let i = from; i < colors.length; i++) {
+                const w = weightOf(i);
+                for (let c = 0; c < 3; c++) sum[c] += colors[i][c] * w;
+                total += w;
+            }
+            return total > 0 ? sum.map(v => v / total) : colors[from] || colors[0];
+        };
+
+        if (mode === 'luminosity' && colors.length > 1) {
+            const chroma = mean(1);
+            const target = lum(chroma) + (lum(colors[0]) - lum(chroma)) * weightOf(0);
+            result = setLum(chroma, target);
+        } else {
+            result = mean(0);
+        }
+    }
+
+    return result.map(v => Math.max(0, Math.min(255, Math.round(v))));
+};
@@ -0,0 +1,25 @@
+/**
+ * Formats an [r, g, b] triple as a CSS colour.
+ * @param {[number, number, number]} color
+ * @returns {string}
+ */
+export const toCssColor = ([r, g, b]) => `rgb(${r},${g},${b})`;
+
+/**
+ * Formats an [r, g, b] triple as a #rrggbb hex string.
+ * @param {[number, number, number]} color
+ * @returns {string}
+ */
+export const toHexColor = (color) => `#${color.map(c => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+
+/**
+ * Parses a #rgb or #rrggbb hex string.
+ * @param {string} hex
+ * @returns {?[number, number, number]} null if the string isn't a hex colour
+ */
+export const parseHexColor = (hex) => {
+    const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(hex.trim());
+    if (!match) return null;
+    const digits = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+    return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+};
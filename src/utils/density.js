@@ -0,0 +1,79 @@
+import { luminanceMap } from './masks';
+
+export const DENSITY_SOURCES = ['source', 'weighted', 'image'];
+
+const clamp01 = (v) => (v < 0 ? 0 : v > 1 ? 1 : v);
+
+/**
+ * Builds the 0..1 weight map that stipple relaxation pulls points toward;
+ * higher weight means more, larger dots.
+ *
+ * - `source`: brightness of source number `index`
+ * - `weighted`: weighted mean brightness of all sources
+ * - `image`: brightness of an uploaded density image
+ *
+ * Brightness and contrast adjust the luminance, then the weight is its
+ * inverse (dark areas get dots, as with ink on paper) or, with `invert`, the
+ * luminance itself for white-on-black work. Gamma shapes the weight last:
+ * above 1 concentrates dots in the densest areas.
+ *
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} settings
+ * @param {'source'|'weighted'|'image'} [settings.source]
+ * @param {number} [settings.index] Source index for 'source'
+ * @param {number[]} [settings.weights] Per-source weights for 'weighted'
+ * @param {number} [settings.brightness] -1..1, added to the luminance
+ * @param {number} [settings.contrast] Luminance contrast around mid grey, 1 = unchanged
+ * @param {number} [settings.gamma] Exponent applied to the weight, 1 = unchanged
+ * @param {boolean} [settings.invert]
+ * @param {Object} inputs
+ * @param {Uint8ClampedArray[]} inputs.imagePixelData
+ * @param {?Uint8ClampedArray} [inputs.densityPixels] Uploaded density image rasterised at width x height
+ * @returns {Float32Array}
+ */
+export const buildDensityMap = (
+    width,
+    height,
+    { source = 'source', index = 0, weights = [], brightness = 0, contrast = 1, gamma = 1, invert = false },
+    { imagePixelData, densityPixels = null }
+) => {
+    let map;
+    if (source === 'weighted' && imagePixelData.length > 1) {
+        map = new Float32Array(width * height);
+        let total = 0;
+        imagePixelData.forEach((pixels, i) => {
+            const w = weights[i] === undefined ? 1 : weights[i];
+            if (w <= 0) return;
+            const lum = luminanceMap(pixels, width, height);
+            for (let p = 0; p < map.length; p++) map[p] += lum[p] * w;
+            total += w;
+        });
+        if (total > 0) for (let p = 0; p < map.length; p++) map[p] /= total;
+    } else if (source === 'image' && densityPixels) {
+        map = luminanceMap(densityPixels, width, height);
+    } else {
+        map = luminanceMap(imagePixelData[Math.min(index, imagePixelData.length - 1)], width, height);
+    }
+
+    for (let p = 0; p < map.length; p++) {
+        const lum = clamp01((map[p] - 0.5) * contrast + 0.5 + brightness);
+        const weight = invert ? lum : 1 - lum;
+        map[p] = gamma === 1 ? weight : Math.pow(weight, gamma);
+    }
+    return map;
+};
+
+/**
+ * @param {Float32Array} density
+ * @param {number} width
+ * @param {number} height
+ * @param {number} x
+ * @param {number} y
+ * @returns {number} Weight at the pixel under (x, y)
+ */
+export const densityAt = (density, width, height, x, y) => {
+    const px = Math.max(0, Math.min(width - 1, Math.floor(x)));
+    const py = Math.max(0, Math.min(height - 1, Math.floor(y)));
+    return density[py * width + px];
+};
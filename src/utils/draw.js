@@ -0,0 +1,89 @@
+import { toCssColor } from './color';
+import { bevelFacets } from './styling';
+
+/**
+ * Checks whether a shape's bounding box touches a rectangle.
+ * @param {Object} shape
+ * @param {{ x: number, y: number, width: number, height: number }} bounds
+ * @param {number} pad Extra margin, e.g. for strokes
+ * @returns {boolean}
+ */
+const intersects = (shape, bounds, pad) => {
+    let minX, maxX, minY, maxY;
+    if (shape.type === 'circle') {
+        minX = shape.x - shape.r;
+        maxX = shape.x + shape.r;
+        minY = shape.y - shape.r;
+        maxY = shape.y + shape.r;
+    } else {
+        minX = minY = Infinity;
+        maxX = maxY = -Infinity;
+        for (const [x, y] of shape.points) {
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+        }
+    }
+    return maxX + pad >= bounds.x && minX - pad <= bounds.x + bounds.width &&
+        maxY + pad >= bounds.y && minY - pad <= bounds.y + bounds.height;
+};
+
+/**
+ * Paints a scene built by `buildScene` onto a 2D canvas context, including
+ * the outline and bevel set by `applyCellStyle`.
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+ * @param {Object} scene
+ * @param {Object} [options]
+ * @param {{ x: number, y: number, width: number, height: number }} [options.bounds] Only draw shapes touching this region (scene units)
+ * @param {(stage: string, current: number, total: number) => void} [options.onProgress]
+ */
+export const drawScene = (ctx, scene, { bounds, onProgress } = {}) => {
+    ctx.fillStyle = scene.background;
+    ctx.fillRect(0, 0, scene.width, scene.height);
+
+    // Voronoi gaps first, then the outline over them
+    const strokes = [scene.stroke, scene.outline].filter(Boolean);
+    const setStroke = ({ width, color }) => {
+        ctx.lineWidth = width;
+        ctx.strokeStyle = color;
+    };
+    if (strokes.length === 1) setStroke(strokes[0]);
+
+    const pad = Math.max(0, ...strokes.map(s => s.width));
+
+    const tracePath = (shape) => {
+        ctx.beginPath();
+        if (shape.type === 'circle') {
+            ctx.arc(shape.x, shape.y, shape.r, 0, Math.PI * 2);
+        } else {
+            for (const [x, y] of shape.points) ctx.lineTo(x, y);
+            ctx.closePath();
+        }
+    };
+
+    const total = scene.shapes.length;
+    for (let i = 0; i < total; i++) {
+        const shape = scene.shapes[i];
+        if (onProgress && i % 1000 === 0) onProgress('draw', i, total);
+        if (bounds && !intersects(shape, bounds, pad + 1)) continue;
+        tracePath(shape);
+        ctx.fillStyle = toCssColor(shape.fill);
+        ctx.fill();
+        if (scene.bevel > 0) {
+            for (const facet of bevelFacets(shape, scene.bevel)) {
+                ctx.beginPath();
+                for (const [x, y] of facet.points) ctx.lineTo(x, y);
+                ctx.closePath();
+                ctx.fillStyle = toCssColor(facet.fill);
+                ctx.fill();
+            }
+            tracePath(shape);
+        }
+        for (const stroke of strokes) {
+            if (strokes.length > 1) setStroke(stroke);
+            ctx.stroke();
+        }
+    }
+    if (onProgress) onProgress('draw', total, total);
+};
@@ -0,0 +1,111 @@
+import { cellKey } from './scene';
+
+/**
+ * Editor tools for per-cell overrides and for placing Voronoi/stipple sites.
+ * `points` tools only apply to modes whose cells grow from editable sites.
+ */
+export const EDIT_TOOLS = {
+    source: { label: 'Source' },
+    color: { label: 'Colour' },
+    hide: { label: 'Hide' },
+    reset: { label: 'Reset' },
+    move: { label: 'Move', points: true },
+    add: { label: 'Add', points: true },
+    remove: { label: 'Delete', points: true }
+};
+
+/**
+ * @param {string} mode
+ * @returns {boolean} Whether the mode's sites can be dragged, added and deleted
+ */
+export const hasEditablePoints = (mode) => mode === 'voronoi' || mode === 'stipple';
+
+const containsPoint = (points, x, y) => {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const [xi, yi] = points[i];
+        const [xj, yj] = points[j];
+        if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+};
+
+/**
+ * Finds the shape under a point. Polygons are hit inside their outline; dots
+ * are small, so the nearest one within `reach` of its edge counts.
+ * @param {Object[]} shapes Scene shapes, later ones drawn on top
+ * @param {number} x
+ * @param {number} y
+ * @param {number} [reach] Pixels
+ * @returns {?Object}
+ */
+export const shapeAt = (shapes, x, y, reach = 6) => {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (let i = shapes.length - 1; i >= 0; i--) {
+        const shape = shapes[i];
+        if (shape.type === 'polygon') {
+            if (containsPoint(shape.points, x, y)) return shape;
+            continue;
+        }
+        const distance = Math.hypot(shape.x - x, shape.y - y) - shape.r;
+        if (distance < nearestDistance && distance <= reach) {
+            nearest = shape;
+            nearestDistance = distance;
+        }
+    }
+    return nearest;
+};
+
+/**
+ * @param {Array<[number, number]>} points
+ * @param {number} x
+ * @param {number} y
+ * @param {number} reach Pixels
+ * @returns {number} Index of the nearest point within `reach`, or -1
+ */
+export const nearestPoint = (points, x, y, reach) => {
+    let nearest = -1;
+    let nearestDistance = reach;
+    points.forEach(([px, py], i) => {
+        const distance = Math.hypot(px - x, py - y);
+        if (distance <= nearestDistance) {
+            nearest = i;
+            nearestDistance = distance;
+        }
+    });
+    return nearest;
+};
+
+/**
+ * Merges a change into one cell's override; `null` clears the override.
+ * @param {Object} overrides Cell key -> `{ source?, fill?, hidden? }`
+ * @param {string} key
+ * @param {?Object} patch
+ * @returns {Object} New overrides
+ */
+export const setCellOverride = (overrides, key, patch) => {
+    if (patch) return { ...overrides, [key]: { ...overrides[key], ...patch } };
+    if (!overrides[key]) return overrides;
+    const { [key]: _removed, ...rest } = overrides;
+    return rest;
+};
+
+/**
+ * Keeps site overrides on their cells when a site is deleted: the sites after
+ * it move down one index, and so do their keys.
+ * @param {Object} overrides
+ * @param {string} mode
+ * @param {number} index Deleted site
+ * @returns {Object} New overrides
+ */
+export const removeSiteOverrides = (overrides, mode, index) => {
+    const prefix = cellKey(mode, { site: '' });
+    const result = {};
+    for (const [key, override] of Object.entries(overrides)) {
+        const site = key.startsWith(prefix) ? Number(key.slice(prefix.length)) : -1;
+        if (site === index) continue;
+        result[site > index ? cellKey(mode, { site: site - 1 }) : key] = override;
+    }
+    return result;
+};
@@ -0,0 +1,127 @@
+import { GIFEncoder, quantize, applyPalette } from 'gifenc';
+import { zipSync } from 'fflate';
+
+export const ANIMATION_FORMATS = ['gif', 'webm', 'png'];
+
+/**
+ * Compresses a rendered frame right away, so a long animation doesn't keep
+ * every raw bitmap in memory until it is encoded.
+ * @param {ImageBitmap} bitmap
+ * @returns {Promise<Blob>}
+ */
+export const bitmapToPngBlob = (bitmap) => {
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    return canvas.convertToBlob({ type: 'image/png' });
+};
+
+// Browsers stretch shorter GIF delays to 1/10 s
+const MIN_GIF_DELAY = 2;
+
+/**
+ * GIF delays are whole centiseconds, so most frame rates can't be hit
+ * exactly (24 fps would be 4.17 cs). Each frame is given the rounded end time
+ * minus the rounded start time, so the error never builds up over a loop.
+ * @param {number} count Frames
+ * @param {number} fps
+ * @returns {number[]} Delay of every frame in centiseconds
+ */
+export const gifFrameDelays = (count, fps) => Array.from({ length: count }, (_, i) =>
+    Math.max(MIN_GIF_DELAY, Math.round(((i + 1) * 100) / fps) - Math.round((i * 100) / fps)));
+
+/**
+ * Encodes frames as a looping GIF with a 256 colour palette per frame.
+ * @param {Blob[]} frames PNG frames, all the same size
+ * @param {number} fps
+ * @param {(done: number) => void} [onProgress] 0..1
+ * @returns {Promise<Blob>}
+ */
+export const encodeGif = async (frames, fps, onProgress) => {
+    const gif = GIFEncoder();
+    const delays = gifFrameDelays(frames.length, fps);
+    let canvas = null;
+    for (let i = 0; i < frames.length; i++) {
+        const bitmap = await createImageBitmap(frames[i]);
+        const { width, height } = bitmap;
+        if (!canvas) canvas = new OffscreenCanvas(width, height);
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+
+        const { data } = ctx.getImageData(0, 0, width, height);
+        const palette = quantize(data, 256);
+        gif.writeFrame(applyPalette(data, palette), width, height, { palette, delay: delays[i] * 10 });
+        if (onProgress) onProgress((i + 1) / frames.length);
+    }
+    gif.finish();
+    return new Blob([gif.bytes()], { type: 'image/gif' });
+};
+
+const pickWebmType = () => ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+    .find(type => MediaRecorder.isTypeSupported(type));
+
+/**
+ * Records frames to WebM by replaying them onto a canvas in real time. The
+ * frames are pre-rendered, so the recording runs at an even frame rate no
+ * matter how long each one took to render.
+ * @param {Blob[]} frames PNG frames, all the same size
+ * @param {number} fps
+ * @param {(done: number) => void} [onProgress] 0..1
+ * @returns {Promise<Blob>}
+ */
+export const encodeWebm = async (frames, fps, onProgress) => {
+    const type = typeof MediaRecorder !== 'undefined' ? pickWebmType() : undefined;
+    if (!type) throw new Error('WebM recording is not supported in this browser');
+
+    const first = await createImageBitmap(frames[0]);
+    const canvas = document.createElement('canvas');
+    canvas.width = first.width;
+    canvas.height = first.height;
+    const ctx = canvas.getContext('2d');
+    first.close();
+
+    // Frame rate 0: a frame is only captured when requestFrame is called
+    const stream = canvas.captureStream(0);
+    const [track] = stream.getVideoTracks();
+    const recorder = new MediaRecorder(stream, { mimeType: type });
+    const chunks = [];
+    recorder.ondataavailable = (e) => e.data.size > 0 && chunks.push(e.data);
+    const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+    const interval = 1000 / fps;
+    recorder.start();
+    let due = performance.now();
+    for (let i = 0; i < frames.length; i++) {
+        // Decode ahead of the deadline so drawing is instant
+        const bitmap = await createImageBitmap(frames[i]);
+        await new Promise(resolve => setTimeout(resolve, Math.max(0, due - performance.now())));
+        ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+        track.requestFrame();
+        due += interval;
+        if (onProgress) onProgress((i + 1) / frames.length);
+    }
+    // Hold the last frame for its full duration
+    await new Promise(resolve => setTimeout(resolve, Math.max(0, due - performance.now())));
+    recorder.stop();
+    await stopped;
+    track.stop();
+    return new Blob(chunks, { type: 'video/webm' });
+};
+
+/**
+ * Packs frames into an uncompressed zip as frame_0001.png, frame_0002.png...
+ * (PNG data is already deflated, so compressing again only costs time).
+ * @param {Blob[]} frames
+ * @param {(done: number) => void} [onProgress] 0..1
+ * @returns {Promise<Blob>}
+ */
+export const zipPngSequence = async (frames, onProgress) => {
+    const digits = Math.max(4, String(frames.length).length);
+    const files = {};
+    for (let i = 0; i < frames.length; i++) {
+        files[`frame_${String(i + 1).padStart(digits, '0')}.png`] = new Uint8Array(await frames[i].arrayBuffer());
+        if (onProgress) onProgress((i + 1) / frames.length);
+    }
+    return new Blob([zipSync(files, { level: 0 })], { type: 'application/zip' });
+};
@@ -0,0 +1,16 @@
+import { describe, it, expect } from 'vitest';
+import { gifFrameDelays } from './encoders';
+
+describe('gifFrameDelays', () => {
+    it('keeps whole-second loops exact at frame rates that do not divide 100', () => {
+        for (const fps of [12, 24, 30]) {
+            const delays = gifFrameDelays(fps, fps);
+            expect(delays.every(Number.isInteger)).toBe(true);
+            expect(delays.reduce((sum, d) => sum + d, 0)).toBe(100);
+        }
+    });
+
+    it('never goes below the delay browsers honour', () => {
+        expect(gifFrameDelays(4, 60)).toEqual([2, 2, 2, 2]);
+    });
+});
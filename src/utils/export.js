@@ -0,0 +1,111 @@
+import { drawScene } from './draw';
+import { createPngEncoder } from './png';
+
+/** Paper sizes in millimetres, portrait orientation. */
+export const PAPER_SIZES = {
+    A5: [148, 210],
+    A4: [210, 297],
+    A3: [297, 420],
+    A2: [420, 594],
+    A1: [594, 841],
+    A0: [841, 1189],
+    Letter: [215.9, 279.4],
+    Tabloid: [279.4, 431.8]
+};
+
+export const DPI_OPTIONS = [72, 150, 300, 600];
+
+/** Output width limits in pixels, for both pixel and print sizing. */
+export const MIN_EXPORT_WIDTH = 64;
+export const MAX_EXPORT_WIDTH = 40000;
+
+// Source pixels are read at most at this many pixels; beyond it the cells are
+// large enough that extra sampling resolution makes no visible difference.
+const MAX_SAMPLE_PIXELS = 16e6;
+
+// Upper bound for a single band of output rows held in memory at once.
+const MAX_BAND_BYTES = 64e6;
+
+/**
+ * Works out the pixel size of a print, turning the paper to match the image
+ * orientation and fitting the image inside it.
+ * @param {[number, number]} paperMm Paper width and height in millimetres
+ * @param {number} dpi
+ * @param {number} aspect Image height / width
+ * @returns {{ width: number, height: number }}
+ */
+export const printSizeToPixels = ([paperW, paperH], dpi, aspect) => {
+    const landscape = aspect < 1;
+    const maxW = ((landscape ? Math.max(paperW, paperH) : Math.min(paperW, paperH)) / 25.4) * dpi;
+    const maxH = ((landscape ? Math.min(paperW, paperH) : Math.max(paperW, paperH)) / 25.4) * dpi;
+    const width = Math.min(MAX_EXPORT_WIDTH, maxW, maxH / aspect);
+    return { width: Math.round(width), height: Math.round(width * aspect) };
+};
+
+/**
+ * Picks the resolution the pipeline should sample the sources at for a given
+ * output size. Never below the preview, never above the output, and capped so
+ * the per-source pixel buffers stay manageable.
+ * @param {number} outputWidth
+ * @param {number} outputHeight
+ * @param {number} previewWidth
+ * @param {number} sourceWidth Natural width of the primary source
+ * @returns {{ width: number, height: number }}
+ */
+export const getSamplingSize = (outputWidth, outputHeight, previewWidth, sourceWidth) => {
+    const aspect = outputHeight / outputWidth;
+    const capWidth = Math.sqrt(MAX_SAMPLE_PIXELS / aspect);
+    const width = Math.round(Math.min(outputWidth, capWidth, Math.max(previewWidth, sourceWidth)));
+    return { width, height: Math.round(width * aspect) };
+};
+
+/**
+ * Rasterises a scene to a PNG of any size. The output is drawn tile by tile
+ * and streamed row band by row band into the encoder, so the full image never
+ * has to exist as a single canvas.
+ * @param {Object} scene Scene from `buildScene`
+ * @param {number} outputWidth
+ * @param {number} outputHeight
+ * @param {Object} [options]
+ * @param {number} [options.dpi]
+ * @param {number} [options.tileSize]
+ * @param {(done: number) => void} [options.onProgress] Called with the fraction of rows written
+ * @returns {Promise<Blob>}
+ */
+export const renderTiledPng = async (scene, outputWidth, outputHeight, { dpi, tileSize = 2048, onProgress } = {}) => {
+    const zoom = outputWidth / scene.width;
+    const bandHeight = Math.max(1, Math.min(tileSize, Math.floor(MAX_BAND_BYTES / (outputWidth * 4))));
+    const tileWidth = Math.min(tileSize, outputWidth);
+
+    const encoder = createPngEncoder(outputWidth, outputHeight, { dpi });
+    const tile = new OffscreenCanvas(tileWidth, bandHeight);
+    const ctx = tile.getContext('2d', { willReadFrequently: true });
+
+    for (let y = 0; y < outputHeight; y += bandHeight) {
+        const rows = Math.min(bandHeight, outputHeight - y);
+        const band = new Uint8ClampedArray(outputWidth * rows * 4);
+
+        for (let x = 0; x < outputWidth; x += tileWidth) {
+            const cols = Math.min(tileWidth, outputWidth - x);
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.clearRect(0, 0, tileWidth, bandHeight);
+            ctx.setTransform(zoom, 0, 0, zoom, -x, -y);
+            drawScene(ctx, scene, {
+                bounds: { x: x / zoom, y: y / zoom, width: cols / zoom, height: rows / zoom }
+            });
+
+            const pixels = ctx.getImageData(0, 0, cols, rows).data;
+            for (let row = 0; row < rows; row++) {
+                band.set(
+                    pixels.subarray(row * cols * 4, (row + 1) * cols * 4),
+                    (row * outputWidth + x) * 4
+                );
+            }
+        }
+
+        await encoder.writeRows(band, rows);
+        if (onProgress) onProgress((y + rows) / outputHeight);
+    }
+
+    return encoder.finish();
+};
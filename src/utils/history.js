@@ -0,0 +1,66 @@
+const sameKeys = (a, b) => a.length === b.length && a.every((key, i) => key === b[i]);
+
+/**
+ * Undo/redo stack of state snapshots. Snapshots are flat objects whose
+ * values are replaced rather than mutated, so changes are found by identity.
+ * Quick successive changes to the same values (a slider drag, a painted
+ * stroke) merge into one step.
+ * @param {Object} [options]
+ * @param {number} [options.limit] Undo steps kept
+ * @param {number} [options.mergeWindow] Milliseconds within which repeated changes merge
+ * @returns {{ record: Function, undo: Function, redo: Function, current: Function, canUndo: Function, canRedo: Function }}
+ */
+export const createHistory = ({ limit = 100, mergeWindow = 1000 } = {}) => {
+    let past = [];
+    let future = [];
+    let present = null;
+    let lastChange = { keys: [], time: -Infinity };
+
+    /**
+     * Records the state as it is now; a no-op if nothing changed.
+     * @param {Object} snapshot
+     * @param {Object} [options]
+     * @param {boolean} [options.step] false takes the change in without making it an undo step
+     * @param {number} [options.now] Milliseconds
+     * @returns {boolean} Whether the snapshot differed from the present
+     */
+    const record = (snapshot, { step = true, now = Date.now() } = {}) => {
+        if (!present || !step) {
+            present = snapshot;
+            lastChange = { keys: [], time: -Infinity };
+            return true;
+        }
+        const keys = Object.keys(snapshot).filter(key => snapshot[key] !== present[key]);
+        if (keys.length === 0) return false;
+
+        const merge = now - lastChange.time < mergeWindow && sameKeys(keys, lastChange.keys) && past.length > 0;
+        if (!merge) {
+            past.push(present);
+            if (past.length > limit) past.shift();
+        }
+        present = snapshot;
+        future = [];
+        lastChange = { keys, time: now };
+        return true;
+    };
+
+    // A restored state always starts a new step
+    const move = (from, to) => {
+        if (from.length === 0) return null;
+        to.push(present);
+        present = from.pop();
+        lastChange = { keys: [], time: -Infinity };
+        return present;
+    };
+
+    return {
+        record,
+        /** @returns {?Object} The snapshot to restore, null if there is nothing to undo */
+        undo: () => move(past, future),
+        /** @returns {?Object} The snapshot to restore, null if there is nothing to redo */
+        redo: () => move(future, past),
+        current: () => present,
+        canUndo: () => past.length > 0,
+        canRedo: () => future.length > 0
+    };
+};
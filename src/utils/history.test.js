@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { createHistory } from './history';
+
+describe('createHistory', () => {
+    it('undoes and redoes changed snapshots', () => {
+        const history = createHistory();
+        const a = { scale: 10 };
+        const b = { scale: 20 };
+        history.record(a, { now: 0 });
+        history.record(b, { now: 5000 });
+        expect(history.canUndo()).toBe(true);
+        expect(history.undo()).toBe(a);
+        expect(history.canRedo()).toBe(true);
+        expect(history.redo()).toBe(b);
+        expect(history.undo()).toBe(a);
+        expect(history.undo()).toBeNull();
+    });
+
+    it('ignores snapshots whose values are identical', () => {
+        const history = createHistory();
+        const mode = 'hex';
+        history.record({ mode }, { now: 0 });
+        expect(history.record({ mode }, { now: 5000 })).toBe(false);
+        expect(history.canUndo()).toBe(false);
+    });
+
+    it('merges quick changes to the same keys', () => {
+        const history = createHistory();
+        history.record({ scale: 10, gap: 0 }, { now: 0 });
+        history.record({ scale: 11, gap: 0 }, { now: 5000 });
+        history.record({ scale: 12, gap: 0 }, { now: 5100 });
+        history.record({ scale: 12, gap: 1 }, { now: 5200 });
+        expect(history.undo().scale).toBe(12);
+        expect(history.undo().scale).toBe(10);
+        expect(history.canUndo()).toBe(false);
+    });
+
+    it('clears the redo stack on a new step', () => {
+        const history = createHistory();
+        history.record({ scale: 10 }, { now: 0 });
+        history.record({ scale: 20 }, { now: 5000 });
+        history.undo();
+        history.record({ scale: 30 }, { now: 10000 });
+        expect(history.canRedo()).toBe(false);
+    });
+
+    it('takes quiet changes in without a step or losing the redo stack', () => {
+        const history = createHistory();
+        history.record({ scale: 10 }, { now: 0 });
+        history.record({ scale: 20 }, { now: 5000 });
+        const restored = history.undo();
+        history.record({ ...restored, mask: 'late image' }, { step: false, now: 5100 });
+        expect(history.canUndo()).toBe(false);
+        expect(history.canRedo()).toBe(true);
+        expect(history.current().mask).toBe('late image');
+    });
+
+    it('keeps at most `limit` undo steps', () => {
+        const history = createHistory({ limit: 2 });
+        for (let i = 0; i < 5; i++) history.record({ scale: i }, { now: i * 5000 });
+        expect(history.undo().scale).toBe(3);
+        expect(history.undo().scale).toBe(2);
+        expect(history.canUndo()).toBe(false);
+    });
+});
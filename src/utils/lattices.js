@@ -0,0 +1,390 @@
+import { hexagonPolygon, trianglePolygon } from './tessellation';
+
+const SQRT2 = Math.SQRT2;
+const SQRT3 = Math.sqrt(3);
+
+/**
+ * Returns the corners of a regular polygon centred on (x, y).
+ * @param {number} x
+ * @param {number} y
+ * @param {number} radius Circumradius
+ * @param {number} sides
+ * @param {number} rotation Angle of the first corner, in radians
+ * @returns {Array<[number, number]>}
+ */
+const regularPolygon = (x, y, radius, sides, rotation) => Array.from({ length: sides }, (_, i) => {
+    const angle = rotation + (Math.PI * 2 * i) / sides;
+    return [x + radius * Math.cos(angle), y + radius * Math.sin(angle)];
+});
+
+const centroid = (polygon) => {
+    let x = 0;
+    let y = 0;
+    for (const [px, py] of polygon) {
+        x += px;
+        y += py;
+    }
+    return [x / polygon.length, y / polygon.length];
+};
+
+const cell = (polygon, col, row) => {
+    const [x, y] = centroid(polygon);
+    return { polygon, x, y, col, row };
+};
+
+/**
+ * Pulls every vertex of a cell toward its centre by a fixed distance. This is
+ * how the gap has always worked for hexagons and triangles (a smaller
+ * circumradius), applied to any cell shape.
+ * @param {Array<[number, number]>} polygon
+ * @param {number} x Cell centre
+ * @param {number} y
+ * @param {number} distance Negative values grow the cell
+ * @returns {Array<[number, number]>}
+ */
+export const insetPolygon = (polygon, x, y, distance) => polygon.map(([px, py]) => {
+    const dx = px - x;
+    const dy = py - y;
+    const length = Math.hypot(dx, dy);
+    if (length === 0) return [px, py];
+    const k = (length - distance) / length;
+    return [x + dx * k, y + dy * k];
+});
+
+/**
+ * Clips a polygon to the rectangle [0, width] x [0, height] (Sutherland-Hodgman).
+ * @param {Array<[number, number]>} points
+ * @param {number} width
+ * @param {number} height
+ * @returns {Array<[number, number]>} Empty when the polygon is entirely outside
+ */
+export const clipPolygon = (points, width, height) => {
+    const edges = [
+        [p => p[0] >= 0, (a, b) => a[0] / (a[0] - b[0])],
+        [p => p[0] <= width, (a, b) => (a[0] - width) / (a[0] - b[0])],
+        [p => p[1] >= 0, (a, b) => a[1] / (a[1] - b[1])],
+        [p => p[1] <= height, (a, b) => (a[1] - height) / (a[1] - b[1])]
+    ];
+    let output = points;
+    for (const [inside, crossing] of edges) {
+        if (output.length === 0) break;
+        const input = output;
+        output = [];
+        for (let i = 0; i < input.length; i++) {
+            const a = input[(i + input.length - 1) % input.length];
+            const b = input[i];
+            if (inside(b) !== inside(a)) {
+                const t = crossing(a, b);
+                output.push([a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t]);
+            }
+            if (inside(b)) output.push(b);
+        }
+    }
+    // Corners cut exactly at the border come out twice
+    return output.filter((p, i) => {
+        const [qx, qy] = output[(i + output.length - 1) % output.length];
+        return Math.hypot(p[0] - qx, p[1] - qy) > 1e-9;
+    });
+};
+
+// Hexagons on a pointy-top grid with odd rows shifted half a cell
+const hexCells = (width, height, scale) => {
+    const cells = [];
+    const hSpacing = scale * SQRT3;
+    const vSpacing = scale * 1.5;
+    for (let row = -1; row < (height / vSpacing) + 1; row++) {
+        for (let col = -1; col < (width / hSpacing) + 1; col++) {
+            const x = col * hSpacing + (row % 2 === 0 ? 0 : hSpacing / 2);
+            const y = row * vSpacing;
+            cells.push({ polygon: hexagonPolygon(x, y, scale), x, y, col, row });
+        }
+    }
+    return cells;
+};
+
+// Alternating up/down triangles, centred on a half-width grid
+const triCells = (width, height, scale) => {
+    const cells = [];
+    const tHeight = scale * Math.sin(Math.PI / 3);
+    const tWidth = scale;
+    // Indices count steps rather than being read back from the accumulated
+    // position, which can land just below a whole step and repeat an index
+    for (let row = 0; row * tHeight < height + tHeight; row++) {
+        const y = row * tHeight;
+        for (let col = 0; col * (tWidth / 2) < width + tWidth; col++) {
+            const x = col * (tWidth / 2);
+            const inverted = (row + col) % 2 !== 0;
+            cells.push({ polygon: trianglePolygon(x, y, scale / SQRT3, inverted), x, y, col, row });
+        }
+    }
+    return cells;
+};
+
+const squareCells = (width, height, scale) => {
+    const cells = [];
+    for (let row = 0; row * scale < height; row++) {
+        for (let col = 0; col * scale < width; col++) {
+            const x = col * scale;
+            const y = row * scale;
+            cells.push(cell([[x, y], [x + scale, y], [x + scale, y + scale], [x, y + scale]], col, row));
+        }
+    }
+    return cells;
+};
+
+// Each hexagon of the hex grid split into three rhombi meeting at its centre
+const rhombilleCells = (width, height, scale) => {
+    const cells = [];
+    for (const hex of hexCells(width, height, scale)) {
+        const corners = hex.polygon;
+        for (let k = 0; k < 3; k++) {
+            const polygon = [[hex.x, hex.y], corners[2 * k], corners[2 * k + 1], corners[(2 * k + 2) % 6]];
+            cells.push(cell(polygon, hex.col * 3 + k, hex.row));
+        }
+    }
+    return cells;
+};
+
+// Cairo pentagons sit on the edges of a square grid. Each square holds a short
+// bar, horizontal and vertical in a checkerboard; a pentagon is the triangle on
+// one side of a grid edge joined to the trapezoid on the other.
+const cairoCells = (width, height, scale) => {
+    const cells = [];
+    const L = scale * 2;
+    const half = L / 2;
+    const bar = (L * (Math.sqrt(7) - 1)) / 3; // makes all five edges equal
+    const rows = Math.ceil(height / L) + 1;
+    const cols = Math.ceil(width / L) + 1;
+
+    for (let j = 0; j <= rows; j++) {
+        for (let i = 0; i <= cols; i++) {
+            const X = i * L;
+            const Y = j * L;
+
+            // Vertical edge from (X, Y) to (X, Y + L); s = 1 if the square to its right has a horizontal bar
+            const sv = (i + j) % 2 === 0 ? 1 : -1;
+            cells.push(cell([
+                [X, Y],
+                [X + sv * (half - bar / 2), Y + half],
+                [X, Y + L],
+                [X - sv * half, Y + half + bar / 2],
+                [X - sv * half, Y + half - bar / 2]
+            ], 2 * i, j));
+
+            // Horizontal edge from (X, Y) to (X + L, Y); s = 1 if the square below has a vertical bar
+            const sh = (i + j) % 2 === 1 ? 1 : -1;
+            cells.push(cell([
+                [X, Y],
+                [X + half - bar / 2, Y - sh * half],
+                [X + half + bar / 2, Y - sh * half],
+                [X + L, Y],
+                [X + half, Y + sh * (half - bar / 2)]
+            ], 2 * i + 1, j));
+        }
+    }
+    return cells;
+};
+
+// Snub square: squares turned +30 / -30 degrees in a checkerboard, touching at
+// their corners; each rhombic gap between four squares is two equilateral triangles
+const snubSquareCells = (width, height, scale) => {
+    const cells = [];
+    const edge = scale * 1.5;
+    const radius = edge / SQRT2;
+    const tilt = Math.PI / 6;
+    const pitch = 2 * radius * Math.cos(Math.PI / 4 - tilt);
+    const rows = Math.ceil(height / pitch) + 1;
+    const cols = Math.ceil(width / pitch) + 1;
+
+    const squareAt = (i, j) => regularPolygon(i * pitch, j * pitch, radius, 4, Math.PI / 4 + ((i + j) % 2 === 0 ? tilt : -tilt));
+    // Corner of square (i, j) that touches its neighbour in direction (dx, dy)
+    const contact = (i, j, dx, dy) => {
+        let best = null;
+        let bestDot = -Infinity;
+        for (const corner of squareAt(i, j)) {
+            const dot = (corner[0] - i * pitch) * dx + (corner[1] - j * pitch) * dy;
+            if (dot > bestDot) {
+                bestDot = dot;
+                best = corner;
+            }
+        }
+        return best;
+    };
+
+    for (let j = -1; j <= rows; j++) {
+        for (let i = -1; i <= cols; i++) {
+            cells.push(cell(squareAt(i, j), 2 * i, 2 * j));
+
+            // Gap bounded by squares (i, j), (i + 1, j), (i + 1, j + 1), (i, j + 1)
+            const v0 = contact(i, j, 1, 0);
+            const v1 = contact(i + 1, j, 0, 1);
+            const v2 = contact(i, j + 1, 1, 0);
+            const v3 = contact(i, j, 0, 1);
+            const gap = [v0, v1, v2, v3];
+            // Split along the short diagonal
+            const d02 = Math.hypot(v0[0] - v2[0], v0[1] - v2[1]);
+            const d13 = Math.hypot(v1[0] - v3[0], v1[1] - v3[1]);
+            const s = d02 < d13 ? 0 : 1;
+            cells.push(cell([gap[s], gap[s + 1], gap[(s + 2) % 4]], 2 * i + 1, 2 * j + 1));
+            cells.push(cell([gap[s], gap[(s + 2) % 4], gap[(s + 3) % 4]], 2 * i + 1, 2 * j));
+        }
+    }
+    return cells;
+};
+
+const snubSquareRepeat = (scale) => {
+    const radius = (scale * 1.5) / SQRT2;
+    const pitch = 2 * radius * Math.cos(Math.PI / 4 - Math.PI / 6);
+    return [pitch * 2, pitch * 2];
+};
+
+// Truncated square: regular octagons on a square grid, squares in the gaps
+const truncatedSquareCells = (width, height, scale) => {
+    const cells = [];
+    const edge = scale;
+    const pitch = edge * (1 + SQRT2);
+    const octagonRadius = edge / (2 * Math.sin(Math.PI / 8));
+    const rows = Math.ceil(height / pitch) + 1;
+    const cols = Math.ceil(width / pitch) + 1;
+
+    for (let j = 0; j <= rows; j++) {
+        for (let i = 0; i <= cols; i++) {
+            const x = i * pitch;
+            const y = j * pitch;
+            cells.push({ polygon: regularPolygon(x, y, octagonRadius, 8, Math.PI / 8), x, y, col: 2 * i, row: 2 * j });
+            const sx = x + pitch / 2;
+            const sy = y + pitch / 2;
+            cells.push({ polygon: regularPolygon(sx, sy, edge / SQRT2, 4, 0), x: sx, y: sy, col: 2 * i + 1, row: 2 * j + 1 });
+        }
+    }
+    return cells;
+};
+
+// Trihexagonal (kagome): flat-top hexagons on a triangular lattice, touching at
+// their corners, with an up and a down triangle between every three of them.
+// Each band of hexagons takes three rows (hexagons, up, down triangles) and
+// the indices are offset so col + row is even for hexagons and odd for
+// triangles: the checkerboard sets hexagons against triangles
+const trihexagonalCells = (width, height, scale) => {
+    const cells = [];
+    const edge = scale;
+    const rowHeight = edge * SQRT3;
+    const rows = Math.ceil(height / rowHeight) + 1;
+    const at = (i, j) => [i * 2 * edge + j * edge, j * rowHeight];
+    const corner = (i, j, k) => {
+        const [x, y] = at(i, j);
+        return [x + edge * Math.cos((Math.PI / 3) * k), y + edge * Math.sin((Math.PI / 3) * k)];
+    };
+
+    for (let j = -1; j <= rows; j++) {
+        // Skew the column range so every row spans the canvas
+        const iStart = Math.floor(-j / 2) - 1;
+        const iEnd = Math.ceil((width / edge - j) / 2) + 1;
+        for (let i = iStart; i <= iEnd; i++) {
+            const [x, y] = at(i, j);
+            const col = 2 * i + j;
+            cells.push({ polygon: regularPolygon(x, y, edge, 6, 0), x, y, col, row: 3 * j });
+            cells.push(cell([corner(i, j, 0), corner(i + 1, j, 2), corner(i, j, 1)], col, 3 * j + 1));
+            cells.push(cell([corner(i + 1, j, 2), corner(i + 1, j, 1), corner(i, j + 1, 0)], col + 1, 3 * j + 2));
+        }
+    }
+    return cells;
+};
+
+/**
+ * Registry of periodic lattices. Each entry lists every cell covering a
+ * width x height canvas as `{ polygon, x, y, col, row }`: the full cell shape,
+ * its centre (the sample point) and grid indices for the alternation patterns.
+ * `bleed` grows the drawn shapes slightly so anti-aliased edges don't leave
+ * hairline seams at gap 0.
+ *
+ * `repeat` is the rectangle the layout repeats over, alternation indices
+ * included: moving by `size(scale)[0]` in x adds `index[0]` to `col`, moving
+ * by `size(scale)[1]` in y adds `index[1]` to `row`.
+ */
+export const LATTICES = {
+    hex: { label: 'Hex', bleed: 0, cells: hexCells, repeat: { size: s => [s * SQRT3, s * 3], index: [1, 2] } },
+    tri: { label: 'Tri', bleed: 0.5, cells: triCells, repeat: { size: s => [s, s * SQRT3], index: [2, 2] } },
+    square: { label: 'Sq', bleed: 0.5, cells: squareCells, repeat: { size: s => [s, s], index: [1, 1] } },
+    rhombille: { label: 'Rhomb', bleed: 0.5, cells: rhombilleCells, repeat: { size: s => [s * SQRT3, s * 3], index: [3, 2] } },
+    cairo: { label: 'Cairo', bleed: 0.5, cells: cairoCells, repeat: { size: s => [s * 4, s * 4], index: [4, 2] } },
+    'snub-square': { label: 'Snub', bleed: 0.5, cells: snubSquareCells, repeat: { size: snubSquareRepeat, index: [4, 4] } },
+    'truncated-square': { label: 'Oct', bleed: 0.5, cells: truncatedSquareCells, repeat: { size: s => [s * (1 + SQRT2), s * (1 + SQRT2)], index: [2, 2] } },
+    trihexagonal: { label: 'Kagome', bleed: 0.5, cells: trihexagonalCells, repeat: { size: s => [s * 2, s * SQRT3 * 2], index: [2, 6] } }
+};
+
+export const DEFAULT_LATTICE_TRANSFORM = { rotation: 0, shear: 0, originX: 0, originY: 0 };
+
+/**
+ * Lists the cells of a lattice covering the canvas after shearing and
+ * rotating it about an origin. The lattice is laid out in its own space over
+ * the area the canvas maps back onto, starting a whole number of repeats
+ * before it, so the pattern (alternation indices included) stays pinned to
+ * the origin wherever that is dragged.
+ * @param {Object} lattice Entry of `LATTICES`
+ * @param {number} width
+ * @param {number} height
+ * @param {number} scale
+ * @param {Object} [transform]
+ * @param {number} [transform.rotation] Degrees
+ * @param {number} [transform.shear] Horizontal shear factor, applied before the rotation
+ * @param {number} [transform.originX] Lattice origin as a fraction of the canvas width
+ * @param {number} [transform.originY] Lattice origin as a fraction of the canvas height
+ * @returns {Array<{ polygon: Array<[number, number]>, x: number, y: number, col: number, row: number }>}
+ */
+export const transformedLatticeCells = (lattice, width, height, scale, transform = DEFAULT_LATTICE_TRANSFORM) => {
+    const { rotation = 0, shear = 0, originX = 0, originY = 0 } = transform;
+    if (!rotation && !shear && !originX && !originY) return lattice.cells(width, height, scale);
+
+    // M = rotation x shear; a shear matrix has determinant 1, so M^-1 is its adjugate
+    const rad = (rotation * Math.PI) / 180;
+    const cos = Math.cos(rad);
+    const sin = Math.sin(rad);
+    const a = cos, b = cos * shear - sin, c = sin, d = sin * shear + cos;
+    const ox = originX * width;
+    const oy = originY * height;
+
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const [cx, cy] of [[0, 0], [width, 0], [width, height], [0, height]]) {
+        const x = d * (cx - ox) - b * (cy - oy);
+        const y = -c * (cx - ox) + a * (cy - oy);
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+    }
+
+    const [repeatX, repeatY] = lattice.repeat.size(scale);
+    const i0 = Math.floor(minX / repeatX) - 1;
+    const j0 = Math.floor(minY / repeatY) - 1;
+    const shiftX = i0 * repeatX;
+    const shiftY = j0 * repeatY;
+    const toCanvas = ([x, y]) => {
+        const lx = x + shiftX;
+        const ly = y + shiftY;
+        return [a * lx + b * ly + ox, c * lx + d * ly + oy];
+    };
+
+    const cells = [];
+    for (const cell of lattice.cells(maxX - shiftX + repeatX, maxY - shiftY + repeatY, scale)) {
+        const polygon = cell.polygon.map(toCanvas);
+        // The layout area is the canvas's bounding box in lattice space; drop what lands off canvas
+        if (polygon.every(([x]) => x < 0) || polygon.every(([x]) => x > width)
+            || polygon.every(([, y]) => y < 0) || polygon.every(([, y]) => y > height)) continue;
+        const [x, y] = toCanvas([cell.x, cell.y]);
+        cells.push({
+            polygon,
+            x,
+            y,
+            col: cell.col + i0 * lattice.repeat.index[0],
+            row: cell.row + j0 * lattice.repeat.index[1]
+        });
+    }
+    return cells;
+};
+
+/**
+ * @param {string} mode
+ * @returns {boolean} Whether the mode is one of the periodic lattices
+ */
+export const isLatticeMode = (mode) => Object.prototype.hasOwnProperty.call(LATTICES, mode);
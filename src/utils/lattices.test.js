@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { LATTICES, transformedLatticeCells } from './lattices';
+import { getAlternationIndex } from './tessellation';
+
+const SCALE = 20;
+
+// Cells by centre, to find the one a whole repeat away
+const byPosition = (cells) => (x, y) => cells.find(cell => Math.abs(cell.x - x) < 1 && Math.abs(cell.y - y) < 1);
+
+describe.each(Object.entries(LATTICES))('%s lattice', (name, lattice) => {
+    const [repeatX, repeatY] = lattice.repeat.size(SCALE);
+    const width = repeatX * 6;
+    const height = repeatY * 6;
+    const cells = lattice.cells(width, height, SCALE);
+    const find = byPosition(cells);
+    const inner = cells.filter(cell => cell.x > repeatX && cell.x < width - 2 * repeatX && cell.y > repeatY && cell.y < height - 2 * repeatY);
+
+    it('gives every cell its own indices', () => {
+        const keys = new Set(cells.map(cell => `${cell.col},${cell.row}`));
+        expect(keys.size).toBe(cells.length);
+    });
+
+    it('advances the indices by repeat.index over one repeat', () => {
+        expect(inner.length).toBeGreaterThan(0);
+        for (const cell of inner) {
+            const right = find(cell.x + repeatX, cell.y);
+            const below = find(cell.x, cell.y + repeatY);
+            expect([right.col - cell.col, right.row - cell.row]).toEqual([lattice.repeat.index[0], 0]);
+            expect([below.col - cell.col, below.row - cell.row]).toEqual([0, lattice.repeat.index[1]]);
+        }
+    });
+
+    it('shifts every index alike when the origin moves by whole repeats', () => {
+        const moved = transformedLatticeCells(lattice, width, height, SCALE, { rotation: 0, shear: 0, originX: (repeatX * 2) / width, originY: (repeatY * 2) / height });
+        const findMoved = byPosition(moved);
+        const shifts = new Set(inner.map(cell => {
+            const other = findMoved(cell.x, cell.y);
+            return `${other.col - cell.col},${other.row - cell.row}`;
+        }));
+        expect([...shifts]).toEqual([`${-2 * lattice.repeat.index[0]},${-2 * lattice.repeat.index[1]}`]);
+    });
+});
+
+describe('trihexagonal checkerboard', () => {
+    it('alternates hexagons and triangles', () => {
+        const cells = LATTICES.trihexagonal.cells(400, 400, SCALE);
+        for (const cell of cells) {
+            const isHexagon = cell.polygon.length === 6;
+            expect(getAlternationIndex(cell.col, cell.row, 'checkerboard', 2)).toBe(isHexagon ? 0 : 1);
+        }
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * Creates a muted inline <video>, attaches a stream or file to it and
+ * resolves once the first frame is ready and playback has started.
+ * @param {(video: HTMLVideoElement) => void} attach
+ * @returns {Promise<HTMLVideoElement>}
+ */
+const startVideo = (attach) => new Promise((resolve, reject) => {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.onloadeddata = () => video.play().then(() => resolve(video), reject);
+    video.onerror = () => reject(new Error('Could not play the video'));
+    attach(video);
+});
+
+/**
+ * Opens the default camera as a live source.
+ * @returns {Promise<{ video: HTMLVideoElement, name: string, stop: () => void }>}
+ */
+export const openCamera = async () => {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        throw new Error('Camera access is not available in this browser');
+    }
+    const stream = await navigator.mediaDevices.getUserMedia({ video: { width: { ideal: 1280 }, height: { ideal: 720 } }, audio: false });
+    try {
+        const video = await startVideo(v => { v.srcObject = stream; });
+        return {
+            video,
+            name: 'Camera',
+            stop: () => {
+                stream.getTracks().forEach(track => track.stop());
+                video.srcObject = null;
+            }
+        };
+    } catch (err) {
+        stream.getTracks().forEach(track => track.stop());
+        throw err;
+    }
+};
+
+/**
+ * Plays a video file on a loop as a stand-in for a camera, e.g. for
+ * working on live looks without the hardware.
+ * @param {File} file
+ * @returns {Promise<{ video: HTMLVideoElement, name: string, stop: () => void }>}
+ */
+export const openVideoFile = async (file) => {
+    const url = URL.createObjectURL(file);
+    try {
+        const video = await startVideo(v => {
+            v.loop = true;
+            v.src = url;
+        });
+        return {
+            video,
+            name: file.name,
+            stop: () => {
+                video.pause();
+                video.removeAttribute('src');
+                video.load();
+                URL.revokeObjectURL(url);
+            }
+        };
+    } catch (err) {
+        URL.revokeObjectURL(url);
+        throw err;
+    }
+};
+
+/**
+ * Grabs the current frame of a live source.
+ * @param {HTMLVideoElement} video
+ * @returns {Promise<?ImageBitmap>} null while no frame is available, e.g. while a stream restarts
+ */
+export const grabFrame = (video) => (video.readyState >= 2 ? createImageBitmap(video) : Promise.resolve(null));
+
+/**
+ * Encodes the current frame of a live source, to freeze it into the library.
+ * @param {HTMLVideoElement} video
+ * @returns {string} JPEG data URL
+ */
+export const frameToDataUrl = (video) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0);
+    return canvas.toDataURL('image/jpeg', 0.92);
+};
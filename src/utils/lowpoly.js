@@ -0,0 +1,123 @@
+import { Delaunay } from 'd3-delaunay';
+import { luminanceMap } from './masks';
+
+export const BORDER_MODES = ['edges', 'corners', 'none'];
+
+// Share of the vertex budget spread evenly instead of following edges
+const FILL_SHARE = 0.1;
+
+/**
+ * Sobel gradient magnitude of an image's luminance, normalised so the
+ * strongest edge is 1. Border pixels reuse their nearest neighbours.
+ * @param {Uint8ClampedArray} pixels
+ * @param {number} width
+ * @param {number} height
+ * @returns {Float32Array}
+ */
+export const sobelMagnitude = (pixels, width, height) => {
+    const lum = luminanceMap(pixels, width, height);
+    const magnitude = new Float32Array(width * height);
+    const at = (x, y) => lum[Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))];
+
+    let max = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const tl = at(x - 1, y - 1), t = at(x, y - 1), tr = at(x + 1, y - 1);
+            const l = at(x - 1, y), r = at(x + 1, y);
+            const bl = at(x - 1, y + 1), b = at(x, y + 1), br = at(x + 1, y + 1);
+            const gx = tr + 2 * r + br - tl - 2 * l - bl;
+            const gy = bl + 2 * b + br - tl - 2 * t - tr;
+            const m = Math.hypot(gx, gy);
+            magnitude[y * width + x] = m;
+            if (m > max) max = m;
+        }
+    }
+    if (max > 0) for (let i = 0; i < magnitude.length; i++) magnitude[i] /= max;
+    return magnitude;
+};
+
+const borderVertices = (width, height, border, spacing) => {
+    if (border === 'none') return [];
+    const vertices = [[0, 0], [width, 0], [width, height], [0, height]];
+    if (border === 'corners') return vertices;
+    const nx = Math.max(1, Math.round(width / spacing));
+    const ny = Math.max(1, Math.round(height / spacing));
+    for (let i = 1; i < nx; i++) vertices.push([(width * i) / nx, 0], [(width * i) / nx, height]);
+    for (let j = 1; j < ny; j++) vertices.push([0, (height * j) / ny], [width, (height * j) / ny]);
+    return vertices;
+};
+
+/**
+ * Triangulates an image for a low-poly look. Vertices go along strong edges
+ * (Sobel magnitude above `threshold`, picked with probability following the
+ * edge strength), plus a sparse even fill and optional border points, and a
+ * minimum spacing keeps them from bunching. The Delaunay triangles of those
+ * vertices are the cells.
+ *
+ * `border` decides how the canvas edge is covered: 'edges' puts vertices
+ * along it so triangles reach the border everywhere, 'corners' only pins the
+ * four corners, 'none' leaves the outline to the detected points.
+ *
+ * @param {Uint8ClampedArray} pixels Source the edges are detected in
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} options
+ * @param {number} options.threshold 0..1 edge strength a vertex needs
+ * @param {number} options.budget Most vertices to place; images with few edges use fewer
+ * @param {'edges'|'corners'|'none'} options.border
+ * @param {() => number} random
+ * @returns {Array<{ polygon: Array<[number, number]>, x: number, y: number }>}
+ */
+export const lowPolyCells = (pixels, width, height, { threshold, budget, border }, random) => {
+    const spacing = Math.sqrt((width * height) / budget);
+    const vertices = borderVertices(width, height, border, spacing * 2);
+
+    // Occupancy grid enforcing the minimum spacing between vertices
+    const gridSize = spacing / 2;
+    const gridCols = Math.ceil(width / gridSize);
+    const occupied = new Uint8Array(gridCols * Math.ceil(height / gridSize));
+    const claim = (x, y) => {
+        const key = Math.floor(y / gridSize) * gridCols + Math.floor(x / gridSize);
+        if (occupied[key]) return false;
+        occupied[key] = 1;
+        return true;
+    };
+
+    const fillCount = Math.round(budget * FILL_SHARE);
+    const edgeCount = Math.max(0, budget - fillCount - vertices.length);
+
+    const magnitude = sobelMagnitude(pixels, width, height);
+    const candidates = [];
+    for (let i = 0; i < magnitude.length; i++) if (magnitude[i] >= threshold) candidates.push(i);
+
+    let placed = 0;
+    for (let attempt = 0; placed < edgeCount && attempt < edgeCount * 20 && candidates.length > 0; attempt++) {
+        const idx = candidates[Math.floor(random() * candidates.length)];
+        if (random() > magnitude[idx]) continue;
+        const x = (idx % width) + 0.5;
+        const y = Math.floor(idx / width) + 0.5;
+        if (!claim(x, y)) continue;
+        vertices.push([x, y]);
+        placed++;
+    }
+
+    for (let attempt = 0, filled = 0; filled < fillCount && attempt < fillCount * 20; attempt++) {
+        const x = random() * width;
+        const y = random() * height;
+        if (!claim(x, y)) continue;
+        vertices.push([x, y]);
+        filled++;
+    }
+
+    const { triangles } = Delaunay.from(vertices);
+    const cells = [];
+    for (let t = 0; t < triangles.length; t += 3) {
+        const polygon = [vertices[triangles[t]], vertices[triangles[t + 1]], vertices[triangles[t + 2]]];
+        cells.push({
+            polygon,
+            x: (polygon[0][0] + polygon[1][0] + polygon[2][0]) / 3,
+            y: (polygon[0][1] + polygon[1][1] + polygon[2][1]) / 3
+        });
+    }
+    return cells;
+};
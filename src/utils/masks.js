@@ -0,0 +1,90 @@
+export const MASK_TYPES = ['linear', 'radial', 'luminance', 'image'];
+
+/**
+ * Converts RGBA pixels to a 0..1 luminance map (Rec. 601 weights).
+ * @param {Uint8ClampedArray} pixels
+ * @param {number} width
+ * @param {number} height
+ * @returns {Float32Array}
+ */
+export const luminanceMap = (pixels, width, height) => {
+    const map = new Float32Array(width * height);
+    for (let p = 0, i = 0; p < map.length; p++, i += 4) {
+        map[p] = (pixels[i] * 0.299 + pixels[i + 1] * 0.587 + pixels[i + 2] * 0.114) / 255;
+    }
+    return map;
+};
+
+/**
+ * Builds a 0..1 mask used to pick the source image per cell.
+ *
+ * - `linear`: gradient across the canvas along `angle` (degrees, 0 = left to right)
+ * - `radial`: distance from the canvas centre, 0 in the middle to 1 in the corners
+ * - `luminance`: brightness of source number `source`
+ * - `image`: brightness of an uploaded mask image
+ *
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} options
+ * @param {string} options.type One of MASK_TYPES
+ * @param {number} [options.angle]
+ * @param {number} [options.source] Source index for 'luminance'
+ * @param {boolean} [options.invert]
+ * @param {Object} inputs
+ * @param {Uint8ClampedArray[]} inputs.imagePixelData Sources, for 'luminance'
+ * @param {?Uint8ClampedArray} [inputs.maskPixels] Uploaded mask rasterised at width x height, for 'image'
+ * @returns {Float32Array}
+ */
+export const buildMask = (width, height, { type, angle = 0, source = 0, invert = false }, { imagePixelData, maskPixels }) => {
+    let mask;
+
+    if (type === 'luminance' || type === 'image') {
+        const pixels = type === 'image' ? maskPixels : imagePixelData[Math.min(source, imagePixelData.length - 1)];
+        mask = pixels ? luminanceMap(pixels, width, height) : new Float32Array(width * height);
+    } else if (type === 'radial') {
+        mask = new Float32Array(width * height);
+        const cx = width / 2;
+        const cy = height / 2;
+        const maxDist = Math.hypot(cx, cy);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                mask[y * width + x] = Math.hypot(x - cx, y - cy) / maxDist;
+            }
+        }
+    } else {
+        mask = new Float32Array(width * height);
+        const rad = (angle * Math.PI) / 180;
+        const dx = Math.cos(rad);
+        const dy = Math.sin(rad);
+        // Normalise by the projections of the corners so the ramp spans the canvas
+        const corners = [0, width * dx, height * dy, width * dx + height * dy];
+        const min = Math.min(...corners);
+        const range = Math.max(...corners) - min || 1;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                mask[y * width + x] = (x * dx + y * dy - min) / range;
+            }
+        }
+    }
+
+    if (invert) {
+        for (let i = 0; i < mask.length; i++) mask[i] = 1 - mask[i];
+    }
+    return mask;
+};
+
+/**
+ * Quantises the mask at a point into one of `count` equal bands.
+ * @param {Float32Array} mask
+ * @param {number} width
+ * @param {number} height
+ * @param {number} x
+ * @param {number} y
+ * @param {number} count Number of bands (images)
+ * @returns {number} Band index, 0..count-1
+ */
+export const maskBand = (mask, width, height, x, y, count) => {
+    const px = Math.max(0, Math.min(width - 1, Math.floor(x)));
+    const py = Math.max(0, Math.min(height - 1, Math.floor(y)));
+    return Math.min(count - 1, Math.floor(mask[py * width + px] * count));
+};
@@ -0,0 +1,150 @@
+import { createNearestColor } from './quantization';
+import { parseHexColor, toHexColor } from './color';
+import { isShapeOnCanvas } from './scene';
+
+/**
+ * Reads a colour from a material record: either a hex string in `color`/`hex`,
+ * an [r, g, b] array, or separate `r`, `g`, `b` fields.
+ * @param {Object} record
+ * @returns {?[number, number, number]}
+ */
+const readColor = (record) => {
+    const value = record.color ?? record.colour ?? record.hex;
+    if (Array.isArray(value) && value.length >= 3) return value.slice(0, 3).map(Number);
+    if (typeof value === 'string') return parseHexColor(value);
+    if (record.r !== undefined && record.g !== undefined && record.b !== undefined) {
+        return [Number(record.r), Number(record.g), Number(record.b)];
+    }
+    return null;
+};
+
+const normaliseMaterials = (records) => records.map((record, i) => {
+    const color = readColor(record);
+    if (!color || color.some(c => !Number.isFinite(c))) {
+        throw new Error(`Material ${i + 1} has no valid colour`);
+    }
+    return {
+        name: String(record.name || `Colour ${i + 1}`),
+        sku: record.sku ? String(record.sku) : '',
+        color
+    };
+});
+
+/**
+ * Splits one CSV line, honouring double-quoted fields.
+ * @param {string} line
+ * @returns {string[]}
+ */
+const splitCsvLine = (line) => {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+};
+
+const csvField = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+/**
+ * Parses a physical material palette (tiles, inks, beads...).
+ *
+ * JSON may be an array of materials or `{ name, materials: [...] }`; each
+ * material has `name`, optional `sku` and a colour. CSV needs a header row with
+ * `name`, optional `sku`, and either a `color`/`hex` column or `r`, `g`, `b`.
+ *
+ * @param {string} text File contents
+ * @param {string} filename Used to pick the format and as a fallback palette name
+ * @returns {{ name: string, materials: Array<{ name: string, sku: string, color: [number, number, number] }> }}
+ */
+export const parseMaterialPalette = (text, filename = 'palette') => {
+    const baseName = filename.replace(/\.[^.]+$/, '');
+    let name = baseName;
+    let records;
+
+    if (/\.json$/i.test(filename) || /^\s*[[{]/.test(text)) {
+        const data = JSON.parse(text);
+        records = Array.isArray(data) ? data : data.materials;
+        if (!Array.isArray(records)) throw new Error('JSON palette needs a "materials" array');
+        if (data.name) name = String(data.name);
+    } else {
+        const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+        if (lines.length < 2) throw new Error('CSV palette needs a header row and at least one material');
+        const header = splitCsvLine(lines[0]).map(h => h.toLowerCase());
+        records = lines.slice(1).map(line => {
+            const fields = splitCsvLine(line);
+            return Object.fromEntries(header.map((key, i) => [key, fields[i]]));
+        });
+    }
+
+    if (records.length === 0) throw new Error('Palette has no materials');
+    return { name, materials: normaliseMaterials(records) };
+};
+
+/**
+ * Replaces every cell colour in a scene with its nearest available material.
+ * Shapes gain a `material` index and the scene a `materials` list.
+ * @param {Object} scene Scene from `buildScene`, modified in place
+ * @param {Array<{ color: [number, number, number] }>} materials
+ * @param {'rgb'|'lab'} [metric]
+ * @returns {Object} The same scene
+ */
+export const assignMaterials = (scene, materials, metric = 'lab') => {
+    const nearest = createNearestColor(materials.map(m => m.color), metric);
+    for (const shape of scene.shapes) {
+        shape.material = nearest(shape.fill[0], shape.fill[1], shape.fill[2]);
+        shape.fill = materials[shape.material].color;
+    }
+    scene.materials = materials;
+    return scene;
+};
+
+/**
+ * Counts how many cells use each material. Cells whose centre falls off the
+ * canvas are clipped away in the output and so aren't counted.
+ * @param {Object} scene Scene processed by `assignMaterials`
+ * @returns {Array<{ number: number, name: string, sku: string, color: [number, number, number], count: number }>}
+ *   One row per material, numbered from 1 in palette order
+ */
+export const billOfMaterials = (scene) => {
+    const counts = new Array(scene.materials.length).fill(0);
+    for (const shape of scene.shapes) {
+        if (isShapeOnCanvas(scene, shape)) counts[shape.material]++;
+    }
+    return scene.materials.map((m, i) => ({ number: i + 1, ...m, count: counts[i] }));
+};
+
+/**
+ * Formats a bill of materials as CSV.
+ * @param {ReturnType<typeof billOfMaterials>} bom
+ * @returns {string}
+ */
+export const bomToCsv = (bom) => [
+    'number,name,sku,hex,count',
+    ...bom.map(row => [
+        row.number,
+        csvField(row.name),
+        csvField(row.sku),
+        toHexColor(row.color),
+        row.count
+    ].join(','))
+].join('\n');
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { parseMaterialPalette, assignMaterials, billOfMaterials, bomToCsv } from './materials';
+
+describe('parseMaterialPalette', () => {
+    it('reads CSV with hex colours and quoted fields', () => {
+        const palette = parseMaterialPalette('Name,SKU,Hex\n"Red, glossy",R-1,#ff0000\nWhite,,#fff\n', 'tiles.csv');
+        expect(palette).toEqual({
+            name: 'tiles',
+            materials: [
+                { name: 'Red, glossy', sku: 'R-1', color: [255, 0, 0] },
+                { name: 'White', sku: '', color: [255, 255, 255] }
+            ]
+        });
+    });
+
+    it('reads CSV with r, g, b columns', () => {
+        const { materials } = parseMaterialPalette('name,r,g,b\nTeal,0,128,128', 'beads.csv');
+        expect(materials[0].color).toEqual([0, 128, 128]);
+    });
+
+    it('reads JSON arrays and named palettes', () => {
+        expect(parseMaterialPalette('[{ "name": "Ink", "color": [1, 2, 3] }]', 'inks.json').materials[0].color).toEqual([1, 2, 3]);
+        expect(parseMaterialPalette('{ "name": "Set A", "materials": [{ "hex": "#000000" }] }', 'set.json')).toEqual({
+            name: 'Set A',
+            materials: [{ name: 'Colour 1', sku: '', color: [0, 0, 0] }]
+        });
+    });
+
+    it('reports unusable palettes', () => {
+        expect(() => parseMaterialPalette('name,hex', 'a.csv')).toThrow('header row');
+        expect(() => parseMaterialPalette('name,hex\nBad,zzz', 'a.csv')).toThrow('Material 1 has no valid colour');
+        expect(() => parseMaterialPalette('{ "materials": [] }', 'a.json')).toThrow('no materials');
+        expect(() => parseMaterialPalette('{}', 'a.json')).toThrow('"materials" array');
+    });
+});
+
+describe('bill of materials', () => {
+    const materials = [
+        { name: 'Black', sku: 'B', color: [0, 0, 0] },
+        { name: 'White, "matte"', sku: '', color: [255, 255, 255] }
+    ];
+    const square = (x, fill) => ({ type: 'polygon', points: [[x, 0], [x + 10, 0], [x + 10, 10], [x, 10]], fill });
+
+    it('snaps cells to the nearest material and counts the ones on canvas', () => {
+        const scene = { width: 30, height: 10, shapes: [square(0, [20, 20, 20]), square(10, [240, 230, 250]), square(20, [10, 0, 0]), square(100, [0, 0, 0])] };
+        assignMaterials(scene, materials);
+        expect(scene.shapes.map(s => s.material)).toEqual([0, 1, 0, 0]);
+        expect(scene.shapes[1].fill).toEqual([255, 255, 255]);
+        const bom = billOfMaterials(scene);
+        expect(bom.map(row => row.count)).toEqual([2, 1]);
+        expect(bomToCsv(bom)).toBe('number,name,sku,hex,count\n1,Black,B,#000000,2\n2,"White, ""matte""",,#ffffff,1');
+    });
+});
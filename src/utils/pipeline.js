@@ -0,0 +1,139 @@
+import { buildScene } from './scene';
+import { posterize } from './quantization';
+import { assignMaterials } from './materials';
+import { buildMask } from './masks';
+import { buildDensityMap } from './density';
+import { applyCellStyle, DEFAULT_CELL_STYLE } from './styling';
+import { DEFAULT_LATTICE_TRANSFORM } from './lattices';
+import { DEFAULT_SOURCE_TRANSFORM } from './sources';
+
+/**
+ * Width the pixel-sized parameters (scale, gap, ...) are chosen at: the
+ * widest preview. Larger outputs scale them up with `resizeParams`.
+ */
+export const REFERENCE_WIDTH = 1000;
+
+/**
+ * Parameters of a fresh composition, in the form project files store them.
+ * The app starts from these (with a random seed) and saved projects are read
+ * over them, so files written before a setting existed keep working.
+ */
+export const DEFAULT_PARAMS = {
+    mode: 'hex',
+    scale: 12,
+    gap: 0.5,
+    pattern: 'checkerboard',
+    stippleIterations: 0,
+    pointCount: 2000,
+    adaptive: { shape: 'square', threshold: 0.08, minSize: 4, maxSize: 64 },
+    lowPoly: { threshold: 0.2, budget: 3000, border: 'edges' },
+    latticeTransform: DEFAULT_LATTICE_TRANSFORM,
+    cellStyle: DEFAULT_CELL_STYLE,
+    sampling: 'center',
+    seed: 0,
+    palette: { enabled: false, count: 8, shared: true, metric: 'rgb', dither: 'none' },
+    paletteLocks: {},
+    materialPalette: null,
+    materialMetric: 'lab',
+    mask: { type: 'linear', angle: 0, source: 0, invert: false },
+    morph: 0,
+    density: { source: 'source', index: 0, brightness: 0, contrast: 1, gamma: 1, invert: false },
+    blendMode: 'none',
+    sourceWeights: {},
+    sourceTransforms: {},
+    cellOverrides: {}
+};
+
+/**
+ * Resolves saved composition parameters into pipeline parameters for a list
+ * of sources: per-source weights, transforms and palette locks are looked up
+ * by source id, and the palette, material and blend settings are combined.
+ * @param {Object} params Project parameters, see DEFAULT_PARAMS
+ * @param {number[]} sourceIds
+ * @returns {Object} Everything `runPipeline` needs besides fixed points
+ */
+export const pipelineParams = (params, sourceIds) => {
+    const p = { ...DEFAULT_PARAMS, ...params };
+    const weights = sourceIds.map(id => (p.sourceWeights[id] === undefined ? 1 : p.sourceWeights[id]));
+    // Locks are stored per palette key so they survive switching between
+    // shared and per-source palettes, and follow a source if others are removed
+    const paletteKeys = p.palette.shared ? ['all'] : sourceIds;
+    return {
+        mode: p.mode,
+        scale: p.scale,
+        gap: p.gap,
+        pattern: p.pattern,
+        stippleIterations: p.stippleIterations,
+        pointCount: p.pointCount,
+        adaptive: p.adaptive,
+        lowPoly: p.lowPoly,
+        latticeTransform: p.latticeTransform,
+        style: p.cellStyle,
+        sampling: p.sampling,
+        seed: p.seed,
+        mask: p.mask,
+        morph: p.morph,
+        blend: { mode: p.blendMode, weights },
+        density: { ...p.density, index: Math.min(p.density.index, Math.max(0, sourceIds.length - 1)), weights },
+        palette: { ...p.palette, locks: paletteKeys.map(key => p.paletteLocks[key] || {}) },
+        materials: p.materialPalette ? { ...p.materialPalette, metric: p.materialMetric } : null,
+        transforms: sourceIds.map(id => p.sourceTransforms[id] || DEFAULT_SOURCE_TRANSFORM),
+        overrides: p.cellOverrides
+    };
+};
+
+/**
+ * Scales the pixel-sized parameters, so an output of a different resolution
+ * keeps the preview's layout.
+ * @param {Object} params Pipeline parameters
+ * @param {number} factor
+ * @returns {Object}
+ */
+export const resizeParams = (params, factor) => ({
+    ...params,
+    scale: params.scale * factor,
+    gap: params.gap * factor,
+    adaptive: params.adaptive && { ...params.adaptive, minSize: params.adaptive.minSize * factor, maxSize: params.adaptive.maxSize * factor },
+    style: params.style && { ...params.style, outlineWidth: params.style.outlineWidth * factor }
+});
+
+/**
+ * Runs every stage after the sources have been rasterised: mask, density,
+ * posterize, tessellation, cell style and materials. Works on plain RGBA
+ * buffers only, so it runs the same in the render worker and in Node.
+ * @param {Uint8ClampedArray[]} imagePixelData RGBA data for every source, all sized width x height
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} params `buildScene` options plus `palette`, `materials` and `style`
+ * @param {Object} [extra]
+ * @param {?Uint8ClampedArray} [extra.maskPixels] Uploaded mask image, same size as the sources
+ * @param {?Uint8ClampedArray} [extra.densityPixels] Uploaded density image
+ * @param {(stage: string, current: number, total: number) => void} [extra.onProgress]
+ * @returns {{ scene: Object, palettes: ?Array<Array<[number, number, number]>> }}
+ */
+export const runPipeline = (imagePixelData, width, height, params, { maskPixels = null, densityPixels = null, onProgress } = {}) => {
+    // Built from the untouched sources, before posterizing
+    let mask = null;
+    if (params.pattern === 'mask' && params.mask) {
+        mask = buildMask(width, height, params.mask, { imagePixelData, maskPixels });
+    }
+
+    let density = null;
+    if (params.mode === 'stipple' && params.density) {
+        density = buildDensityMap(width, height, params.density, { imagePixelData, densityPixels });
+    }
+
+    let palettes = null;
+    if (params.palette && params.palette.enabled) {
+        ({ pixelData: imagePixelData, palettes } = posterize(imagePixelData, width, height, params.palette));
+    }
+
+    const scene = buildScene(imagePixelData, width, height, { ...params, mask, density, onProgress });
+    if (params.style) {
+        applyCellStyle(scene, params.style);
+    }
+    if (params.materials) {
+        assignMaterials(scene, params.materials.materials, params.materials.metric);
+    }
+    return { scene, palettes };
+};
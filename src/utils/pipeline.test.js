@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { runPipeline, pipelineParams, resizeParams, DEFAULT_PARAMS } from './pipeline';
+import { MODES } from './presets';
+import { sceneToSvg } from './svg';
+import { planRelief, reliefToStl, DEFAULT_RELIEF_SETTINGS } from './relief';
+import { planPlot, DEFAULT_PLOT_SETTINGS } from './plotter';
+
+const WIDTH = 120;
+const HEIGHT = 80;
+
+// Horizontal and vertical gradients, so the two sources differ everywhere
+const gradient = (horizontal) => {
+    const pixels = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            const i = (y * WIDTH + x) * 4;
+            const v = Math.round(((horizontal ? x / WIDTH : y / HEIGHT)) * 255);
+            pixels.set([v, 255 - v, 128, 255], i);
+        }
+    }
+    return pixels;
+};
+const sources = [gradient(true), gradient(false)];
+
+const render = (params) => runPipeline(sources, WIDTH, HEIGHT, { ...pipelineParams({ ...params }, [1, 2]), points: null });
+
+describe('runPipeline', () => {
+    it.each(MODES)('builds a %s scene from plain buffers', (mode) => {
+        const { scene } = render({ mode, scale: 10, pointCount: 300 });
+        expect(scene.width).toBe(WIDTH);
+        expect(scene.height).toBe(HEIGHT);
+        expect(scene.shapes.length).toBeGreaterThan(0);
+        for (const shape of scene.shapes) {
+            expect(shape.fill).toHaveLength(3);
+            expect(shape.source === 0 || shape.source === 1).toBe(true);
+        }
+    });
+
+    it('is deterministic for a seed', () => {
+        const a = render({ mode: 'voronoi', seed: 3 }).scene;
+        const b = render({ mode: 'voronoi', seed: 3 }).scene;
+        expect(b.shapes.map(s => s.fill)).toEqual(a.shapes.map(s => s.fill));
+    });
+
+    it('limits colours to the posterize palette', () => {
+        const { scene, palettes } = render({ mode: 'square', scale: 8, palette: { ...DEFAULT_PARAMS.palette, enabled: true, count: 4 } });
+        const allowed = new Set(palettes.flat().map(c => c.join()));
+        expect(allowed.size).toBeLessThanOrEqual(4);
+        for (const shape of scene.shapes) expect(allowed.has(shape.fill.join())).toBe(true);
+    });
+
+    it('applies cell overrides', () => {
+        const first = render({ mode: 'square', scale: 20 }).scene.shapes[0];
+        const { scene } = render({ mode: 'square', scale: 20, cellOverrides: { [first.key]: { fill: [1, 2, 3] } } });
+        expect(scene.shapes.find(s => s.key === first.key).fill).toEqual([1, 2, 3]);
+    });
+});
+
+describe('resizeParams', () => {
+    it('scales the pixel-sized parameters only', () => {
+        const params = pipelineParams(DEFAULT_PARAMS, [1]);
+        const resized = resizeParams(params, 2);
+        expect([resized.scale, resized.gap, resized.adaptive.minSize]).toEqual([params.scale * 2, params.gap * 2, params.adaptive.minSize * 2]);
+        expect(resized.pointCount).toBe(params.pointCount);
+    });
+});
+
+describe('scene outputs', () => {
+    const { scene } = render({ mode: 'hex', scale: 12 });
+
+    it('writes one SVG element per cell', () => {
+        const svg = sceneToSvg(scene);
+        expect(svg.startsWith('<?xml')).toBe(true);
+        expect(svg.match(/<polygon /g)).toHaveLength(scene.shapes.length);
+    });
+
+    it('plans a relief whose STL holds every triangle', () => {
+        const relief = planRelief(scene, DEFAULT_RELIEF_SETTINGS);
+        expect(relief.stats.cells).toBeGreaterThan(0);
+        expect(relief.stats.size[0]).toBe(DEFAULT_RELIEF_SETTINGS.width);
+        expect(reliefToStl(relief).length).toBe(84 + relief.stats.triangles * 50);
+        expect(() => planRelief(scene, { ...DEFAULT_RELIEF_SETTINGS, heightBy: 'source' })).toThrow('No source');
+    });
+
+    it('plans plotter layers within the pen limit', () => {
+        const plan = planPlot(scene, [210, 297], { ...DEFAULT_PLOT_SETTINGS, layerBy: 'color', maxPens: 4 });
+        expect(plan.layers.length).toBeGreaterThan(0);
+        expect(plan.layers.length).toBeLessThanOrEqual(4);
+    });
+});
@@ -0,0 +1,343 @@
+import { toCssColor, toHexColor } from './color';
+import { clipPolygon } from './lattices';
+import { createNearestColor, extractPalette } from './quantization';
+
+export const PLOT_FORMATS = {
+    svg: { extension: 'svg', type: 'image/svg+xml' },
+    hpgl: { extension: 'hpgl', type: 'application/vnd.hp-hpgl' },
+    gcode: { extension: 'gcode', type: 'text/x-gcode' }
+};
+
+export const PLOT_LAYERS = ['source', 'color'];
+
+export const DEFAULT_PLOT_SETTINGS = {
+    format: 'svg',
+    layerBy: 'source', // One pen per source image or per fill colour
+    maxPens: 8, // Colours are reduced to this many pens unless a palette or materials already limit them
+    paper: 'A4',
+    margin: 15, // mm
+    penUp: 'G0 Z2',
+    penDown: 'G0 Z0',
+    drawSpeed: 25, // mm/s
+    travelSpeed: 80, // mm/s
+    penDelay: 0.15 // s per pen movement
+};
+
+// Neighbours each stop is compared against during 2-opt; a full pass is quadratic
+const TWO_OPT_WINDOW = 40;
+const TWO_OPT_PASSES = 4;
+// HPGL plotter units per millimetre
+const HPGL_UNITS = 40;
+
+const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+
+/**
+ * Picks the pen colours for plotting one pen per colour. Sampling averages
+ * even posterized pixels into new colours, so fills are never grouped as
+ * they are: they snap to the posterize palette when it fits in `maxPens`,
+ * otherwise to a palette reduced from the fills themselves.
+ * @param {Object} scene
+ * @param {?Array<[number, number, number]>} palette Colours the sources were posterized to
+ * @param {number} maxPens
+ * @returns {Array<[number, number, number]>}
+ */
+const penColors = (scene, palette, maxPens) => {
+    const unique = palette ? [...new Map(palette.map(color => [toHexColor(color), color])).values()] : [];
+    if (unique.length > 0 && unique.length <= maxPens) return unique;
+    const fills = new Uint8ClampedArray(scene.shapes.length * 4);
+    scene.shapes.forEach((shape, i) => {
+        fills.set(shape.fill, i * 4);
+        fills[i * 4 + 3] = 255;
+    });
+    return extractPalette([fills], maxPens);
+};
+
+/**
+ * Splits a scene into pen layers of single-stroke paths, in scene pixels.
+ * Stipple dots become single points; every other cell becomes its outline,
+ * clipped to the canvas.
+ * @param {Object} scene From `buildScene`
+ * @param {'source'|'color'} layerBy Colour layers follow the assigned material when there is one,
+ *   otherwise the nearest pen colour, see `penColors`
+ * @param {Object} [options]
+ * @param {?Array<[number, number, number]>} [options.palette] Posterize palette
+ * @param {number} [options.maxPens]
+ * @returns {Array<{ name: string, color: [number, number, number], paths: Array<Array<[number, number]>> }>}
+ */
+export const plotLayers = (scene, layerBy, { palette = null, maxPens = DEFAULT_PLOT_SETTINGS.maxPens } = {}) => {
+    const layers = new Map();
+    const pens = layerBy === 'color' && !scene.materials ? penColors(scene, palette, maxPens) : null;
+    const nearestPen = pens && createNearestColor(pens, 'lab');
+    for (const shape of scene.shapes) {
+        let path;
+        if (shape.type === 'circle') {
+            if (shape.x < 0 || shape.y < 0 || shape.x > scene.width || shape.y > scene.height) continue;
+            path = [[shape.x, shape.y]];
+        } else {
+            path = clipPolygon(shape.points, scene.width, scene.height);
+            if (path.length < 2) continue;
+        }
+
+        let key;
+        let name;
+        let color = null;
+        if (layerBy === 'color' && pens) {
+            const pen = nearestPen(shape.fill[0], shape.fill[1], shape.fill[2]);
+            key = `p${pen}`;
+            color = pens[pen];
+            name = toHexColor(color);
+        } else if (layerBy === 'color') {
+            key = `m${shape.material}`;
+            name = scene.materials[shape.material].name;
+        } else {
+            key = shape.source;
+            name = `Source ${shape.source + 1}`;
+        }
+        if (!layers.has(key)) layers.set(key, { name, color, sum: [0, 0, 0], paths: [] });
+        const layer = layers.get(key);
+        layer.paths.push(path);
+        for (let c = 0; c < 3; c++) layer.sum[c] += shape.fill[c];
+    }
+
+    // Source and material layers are drawn in the average colour of their cells
+    return [...layers.values()].map(({ name, color, sum, paths }) => ({
+        name,
+        color: color || sum.map(c => Math.round(c / paths.length)),
+        paths
+    }));
+};
+
+/**
+ * Orders closed paths for a short pen-up travel: a greedy nearest-neighbour
+ * tour, looked up in a grid, then windowed 2-opt. Every path starts and ends
+ * at the same point, so loops are rotated to begin at the vertex closest to
+ * the pen and the tour only has to visit those entry points.
+ * @param {Array<Array<[number, number]>>} paths Points or closed polygons
+ * @param {[number, number]} home Where the pen starts
+ * @returns {Array<Array<[number, number]>>} The paths in drawing order
+ */
+export const optimizePathOrder = (paths, home = [0, 0]) => {
+    const n = paths.length;
+    if (n === 0) return [];
+
+    // Grid over the first vertex of every path
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const [[x, y]] of paths) {
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+    }
+    const cell = Math.max(1e-6, Math.sqrt(((maxX - minX) * (maxY - minY)) / n), (Math.max(maxX - minX, maxY - minY)) / 1024);
+    const cols = Math.floor((maxX - minX) / cell) + 1;
+    const rows = Math.floor((maxY - minY) / cell) + 1;
+    const buckets = Array.from({ length: cols * rows }, () => []);
+    paths.forEach(([[x, y]], i) => {
+        buckets[Math.floor((y - minY) / cell) * cols + Math.floor((x - minX) / cell)].push(i);
+    });
+
+    const visited = new Uint8Array(n);
+    const stops = [home];
+    const ordered = [];
+    let pen = home;
+    for (let k = 0; k < n; k++) {
+        const col = Math.min(cols - 1, Math.max(0, Math.floor((pen[0] - minX) / cell)));
+        const row = Math.min(rows - 1, Math.max(0, Math.floor((pen[1] - minY) / cell)));
+        let best = -1;
+        let bestDistance = Infinity;
+        for (let r = 0; r <= Math.max(cols, rows); r++) {
+            for (let j = row - r; j <= row + r; j++) {
+                if (j < 0 || j >= rows) continue;
+                const onEdge = j === row - r || j === row + r;
+                for (let i = col - r; i <= col + r; i += onEdge ? 1 : 2 * r) {
+                    if (i < 0 || i >= cols) continue;
+                    const bucket = buckets[j * cols + i];
+                    // Drop visited entries as they turn up
+                    let keep = 0;
+                    for (const index of bucket) {
+                        if (visited[index]) continue;
+                        bucket[keep++] = index;
+                        const d = distance(pen, paths[index][0]);
+                        if (d < bestDistance) {
+                            bestDistance = d;
+                            best = index;
+                        }
+                    }
+                    bucket.length = keep;
+                }
+            }
+            // Cells further out are at least r cells away
+            if (best !== -1 && bestDistance <= r * cell) break;
+        }
+
+        visited[best] = 1;
+        let path = paths[best];
+        if (path.length > 2) {
+            let entry = 0;
+            for (let v = 1; v < path.length; v++) {
+                if (distance(pen, path[v]) < distance(pen, path[entry])) entry = v;
+            }
+            path = path.slice(entry).concat(path.slice(0, entry));
+        }
+        ordered.push(path);
+        stops.push(path[0]);
+        pen = path[0];
+    }
+
+    // stops[0] is the home position and stays first; reversing a run of
+    // closed paths doesn't change how they are drawn
+    const order = ordered.map((_, i) => i + 1);
+    const at = (i) => stops[i === 0 ? 0 : order[i - 1]];
+    for (let pass = 0; pass < TWO_OPT_PASSES; pass++) {
+        let improved = false;
+        for (let i = 0; i < n - 1; i++) {
+            const a = at(i);
+            const b = at(i + 1);
+            for (let j = i + 2; j <= Math.min(n, i + TWO_OPT_WINDOW); j++) {
+                const c = at(j);
+                const d = j < n ? at(j + 1) : null;
+                const before = distance(a, b) + (d ? distance(c, d) : 0);
+                const after = distance(a, c) + (d ? distance(b, d) : 0);
+                if (after < before - 1e-9) {
+                    // Reverse stops i+1..j, i.e. order[i..j-1]
+                    for (let lo = i, hi = j - 1; lo < hi; lo++, hi--) {
+                        [order[lo], order[hi]] = [order[hi], order[lo]];
+                    }
+                    improved = true;
+                    break;
+                }
+            }
+        }
+        if (!improved) break;
+    }
+    return order.map(i => ordered[i - 1]);
+};
+
+/**
+ * Lays a scene out on paper and plans the pen moves: layers, path order and
+ * an estimate of the plot time. All coordinates are in millimetres from the
+ * top left corner of the paper, which is turned to match the image.
+ * @param {Object} scene From `buildScene`
+ * @param {[number, number]} paperMm Paper width and height
+ * @param {Object} settings See DEFAULT_PLOT_SETTINGS, plus the posterize `palette` if there is one
+ * @returns {{ width: number, height: number, layers: Array<{ name: string, color: [number, number, number], paths: Array<Array<[number, number]>> }>,
+ *   stats: { paths: number, drawLength: number, travelLength: number, seconds: number } }}
+ */
+export const planPlot = (scene, [paperW, paperH], { layerBy, maxPens, palette = null, margin, drawSpeed, travelSpeed, penDelay }) => {
+    const landscape = scene.width > scene.height;
+    const width = landscape ? Math.max(paperW, paperH) : Math.min(paperW, paperH);
+    const height = landscape ? Math.min(paperW, paperH) : Math.max(paperW, paperH);
+    const zoom = Math.min((width - 2 * margin) / scene.width, (height - 2 * margin) / scene.height);
+    if (!(zoom > 0)) throw new Error('Margins leave no room on the paper');
+    const offsetX = (width - scene.width * zoom) / 2;
+    const offsetY = (height - scene.height * zoom) / 2;
+
+    const stats = { paths: 0, drawLength: 0, travelLength: 0, seconds: 0 };
+    let pen = [0, 0];
+    const layers = plotLayers(scene, layerBy, { palette, maxPens }).map(layer => {
+        const paths = optimizePathOrder(
+            layer.paths.map(path => path.map(([x, y]) => [offsetX + x * zoom, offsetY + y * zoom])),
+            pen
+        );
+        for (const path of paths) {
+            stats.travelLength += distance(pen, path[0]);
+            for (let i = 1; i < path.length; i++) stats.drawLength += distance(path[i - 1], path[i]);
+            if (path.length > 2) stats.drawLength += distance(path[path.length - 1], path[0]);
+            pen = path[0];
+        }
+        stats.paths += paths.length;
+        return { ...layer, paths };
+    });
+
+    // Every path is one pen down and one pen up
+    stats.seconds = stats.drawLength / drawSpeed + stats.travelLength / travelSpeed + stats.paths * 2 * penDelay;
+    return { width, height, layers, stats };
+};
+
+const mm = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Single-stroke SVG in millimetres, one Inkscape layer per pen. Dots are
+ * zero-length lines with round caps.
+ * @param {ReturnType<typeof planPlot>} plan
+ * @returns {string}
+ */
+export const plotToSvg = ({ width, height, layers }) => {
+    const groups = layers.map((layer, i) => {
+        const d = layer.paths.map(path => (path.length === 1
+            ? `M${mm(path[0][0])} ${mm(path[0][1])}h0`
+            : `M${path.map(([x, y]) => `${mm(x)} ${mm(y)}`).join('L')}${path.length > 2 ? 'Z' : ''}`));
+        return `<g id="pen-${i + 1}" inkscape:groupmode="layer" inkscape:label="${i + 1} - ${layer.name}" stroke="${toCssColor(layer.color)}">\n` +
+            `<path d="${d.join('')}"/>\n</g>`;
+    });
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" width="${mm(width)}mm" height="${mm(height)}mm" viewBox="0 0 ${mm(width)} ${mm(height)}">`,
+        '<g fill="none" stroke-width="0.3" stroke-linecap="round" stroke-linejoin="round">',
+        ...groups,
+        '</g>',
+        '</svg>'
+    ].join('\n');
+};
+
+/**
+ * HPGL with one pen number per layer. Plotter coordinates run up from the
+ * bottom left corner of the paper.
+ * @param {ReturnType<typeof planPlot>} plan
+ * @returns {string}
+ */
+export const plotToHpgl = ({ height, layers }) => {
+    const unit = ([x, y]) => `${Math.round(x * HPGL_UNITS)},${Math.round((height - y) * HPGL_UNITS)}`;
+    const lines = ['IN;'];
+    layers.forEach((layer, i) => {
+        lines.push(`SP${i + 1};`);
+        for (const path of layer.paths) {
+            const points = path.length > 2 ? [...path, path[0]] : path;
+            lines.push(`PU${unit(points[0])};PD${points.slice(1).map(unit).join(',') || unit(points[0])};`);
+        }
+    });
+    lines.push('PU;SP0;');
+    return lines.join('\n');
+};
+
+/**
+ * G-code in absolute millimetres, y up from the bottom left corner of the
+ * paper. The pen moves are the user's commands; the machine pauses with M0
+ * before every layer after the first so the pen can be changed.
+ * @param {ReturnType<typeof planPlot>} plan
+ * @param {Object} settings See DEFAULT_PLOT_SETTINGS
+ * @returns {string}
+ */
+export const plotToGcode = ({ height, layers, stats }, { penUp, penDown, drawSpeed, travelSpeed }) => {
+    const xy = ([x, y]) => `X${mm(x)} Y${mm(height - y)}`;
+    const lines = [
+        `; ${stats.paths} paths, ${Math.round(stats.drawLength)} mm drawn, about ${Math.ceil(stats.seconds / 60)} min`,
+        'G21',
+        'G90',
+        penUp
+    ];
+    layers.forEach((layer, i) => {
+        lines.push(`; Pen ${i + 1}: ${layer.name}`);
+        if (i > 0) lines.push(`M0 ; Change pen`);
+        for (const path of layer.paths) {
+            const points = path.length > 2 ? [...path, path[0]] : path;
+            lines.push(`G0 ${xy(points[0])} F${travelSpeed * 60}`, penDown);
+            for (let p = 1; p < points.length; p++) lines.push(`G1 ${xy(points[p])} F${drawSpeed * 60}`);
+            lines.push(penUp);
+        }
+    });
+    lines.push('G0 X0 Y0');
+    return lines.join('\n');
+};
+
+/**
+ * Writes a plan in the format chosen in the settings.
+ * @param {ReturnType<typeof planPlot>} plan
+ * @param {Object} settings See DEFAULT_PLOT_SETTINGS
+ * @returns {string}
+ */
+export const writePlot = (plan, settings) => {
+    if (settings.format === 'hpgl') return plotToHpgl(plan);
+    if (settings.format === 'gcode') return plotToGcode(plan, settings);
+    return plotToSvg(plan);
+};
@@ -0,0 +1,104 @@
+const SIGNATURE = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+const crc32 = (bytes, crc = 0xffffffff) => {
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return crc;
+};
+
+/**
+ * Wraps a payload in a PNG chunk (length, type, data, CRC).
+ * @param {string} type Four-letter chunk type
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+const makeChunk = (type, data) => {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    const crc = crc32(chunk.subarray(4, 8 + data.length)) ^ 0xffffffff;
+    view.setUint32(8 + data.length, crc >>> 0);
+    return chunk;
+};
+
+/**
+ * Creates a streaming PNG encoder. Rows are compressed as they arrive, so an
+ * image far larger than any single canvas can be written one strip at a time.
+ * Output is 8-bit RGB; alpha is dropped because renders are always opaque.
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} [options]
+ * @param {number} [options.dpi] Written to a pHYs chunk so print tools pick up the physical size
+ * @returns {{ writeRows: (rgba: Uint8ClampedArray, rowCount: number) => Promise<void>, finish: () => Promise<Blob> }}
+ */
+export const createPngEncoder = (width, height, { dpi } = {}) => {
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, width);
+    headerView.setUint32(4, height);
+    header[8] = 8; // bit depth
+    header[9] = 2; // colour type: truecolour
+    // compression, filter and interlace methods stay 0
+
+    const parts = [SIGNATURE, makeChunk('IHDR', header)];
+    if (dpi) {
+        const phys = new Uint8Array(9);
+        const physView = new DataView(phys.buffer);
+        const pixelsPerMetre = Math.round(dpi / 0.0254);
+        physView.setUint32(0, pixelsPerMetre);
+        physView.setUint32(4, pixelsPerMetre);
+        phys[8] = 1; // unit: metre
+        parts.push(makeChunk('pHYs', phys));
+    }
+
+    const stream = new CompressionStream('deflate');
+    const writer = stream.writable.getWriter();
+    const idat = [];
+    const reading = (async () => {
+        const reader = stream.readable.getReader();
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            idat.push(makeChunk('IDAT', value));
+        }
+    })();
+
+    const rowBytes = width * 3 + 1;
+
+    return {
+        async writeRows(rgba, rowCount) {
+            const out = new Uint8Array(rowBytes * rowCount);
+            for (let y = 0; y < rowCount; y++) {
+                let o = y * rowBytes;
+                out[o++] = 0; // filter type: none
+                let i = y * width * 4;
+                for (let x = 0; x < width; x++, i += 4) {
+                    out[o++] = rgba[i];
+                    out[o++] = rgba[i + 1];
+                    out[o++] = rgba[i + 2];
+                }
+            }
+            await writer.write(out);
+        },
+        async finish() {
+            await writer.close();
+            await reading;
+            return new Blob([...parts, ...idat, makeChunk('IEND', new Uint8Array(0))], { type: 'image/png' });
+        }
+    };
+};
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { unzlibSync } from 'fflate';
+import { createPngEncoder } from './png';
+
+const readChunks = (bytes) => {
+    const view = new DataView(bytes.buffer);
+    const chunks = [];
+    for (let offset = 8; offset < bytes.length;) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+        offset += 12 + length;
+    }
+    return chunks;
+};
+
+describe('createPngEncoder', () => {
+    it('writes rows streamed in strips as RGB scanlines', async () => {
+        const width = 3;
+        const height = 4;
+        const rgba = new Uint8ClampedArray(width * height * 4).map((_, i) => (i % 4 === 3 ? 255 : i));
+        const encoder = createPngEncoder(width, height, { dpi: 254 });
+        await encoder.writeRows(rgba.subarray(0, width * 4 * 3), 3);
+        await encoder.writeRows(rgba.subarray(width * 4 * 3), 1);
+        const bytes = new Uint8Array(await (await encoder.finish()).arrayBuffer());
+
+        expect([...bytes.subarray(0, 8)]).toEqual([137, 80, 78, 71, 13, 10, 26, 10]);
+        const chunks = readChunks(bytes);
+        expect(chunks.map(c => c.type).filter(t => t !== 'IDAT')).toEqual(['IHDR', 'pHYs', 'IEND']);
+
+        const header = new DataView(chunks[0].data.buffer, chunks[0].data.byteOffset);
+        expect([header.getUint32(0), header.getUint32(4), chunks[0].data[8], chunks[0].data[9]]).toEqual([width, height, 8, 2]);
+        expect(new DataView(chunks[1].data.buffer, chunks[1].data.byteOffset).getUint32(0)).toBe(10000);
+
+        const idat = chunks.filter(c => c.type === 'IDAT');
+        const joined = new Uint8Array(idat.reduce((sum, c) => sum + c.data.length, 0));
+        idat.reduce((offset, c) => (joined.set(c.data, offset), offset + c.data.length), 0);
+        const pixels = unzlibSync(joined);
+        expect(pixels.length).toBe(height * (width * 3 + 1));
+        for (let y = 0; y < height; y++) {
+            const row = pixels.subarray(y * (width * 3 + 1), (y + 1) * (width * 3 + 1));
+            expect(row[0]).toBe(0);
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                expect([...row.subarray(1 + x * 3, 4 + x * 3)]).toEqual([rgba[i], rgba[i + 1], rgba[i + 2]]);
+            }
+        }
+    });
+});
@@ -0,0 +1,67 @@
+import { LATTICES } from './lattices';
+import { DEFAULT_CELL_STYLE } from './styling';
+
+export const MODES = [...Object.keys(LATTICES), 'voronoi', 'stipple', 'adaptive', 'lowpoly'];
+export const PATTERNS = ['checkerboard', 'rows', 'cols', 'random', 'mask'];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Hash fields and how to read them back. Values outside the UI's ranges are
+ * clamped, unknown modes and patterns are dropped.
+ */
+const FIELDS = {
+    mode: { key: 'mode', parse: (v) => (MODES.includes(v) ? v : undefined) },
+    scale: { key: 'scale', parse: (v) => clamp(Math.round(Number(v)), 4, 80) },
+    gap: { key: 'gap', parse: (v) => clamp(Math.round(Number(v) * 2) / 2, 0, 10) },
+    pattern: { key: 'pattern', parse: (v) => (PATTERNS.includes(v) ? v : undefined) },
+    stippleIterations: { key: 'iter', parse: (v) => clamp(Math.round(Number(v)), 0, 20) },
+    pointCount: { key: 'pts', parse: (v) => clamp(Math.round(Number(v)), 200, 500000) },
+    seed: { key: 'seed', parse: (v) => Math.max(0, Math.floor(Number(v))) }
+};
+
+/**
+ * Encodes the shareable rendering parameters as a URL hash.
+ * @param {Object} params
+ * @returns {string} e.g. '#mode=hex&scale=12&gap=0.5&pattern=rows&iter=0&pts=2000&seed=42'
+ */
+export const encodePresetHash = (params) => {
+    const search = new URLSearchParams();
+    for (const [name, field] of Object.entries(FIELDS)) {
+        if (params[name] !== undefined) search.set(field.key, String(params[name]));
+    }
+    return `#${search.toString()}`;
+};
+
+/**
+ * Reads rendering parameters from a URL hash. Missing or invalid fields are
+ * left out, so the result can be merged over the current state.
+ * @param {string} hash
+ * @returns {Object}
+ */
+export const decodePresetHash = (hash) => {
+    const search = new URLSearchParams(hash.replace(/^#/, ''));
+    const params = {};
+    for (const [name, field] of Object.entries(FIELDS)) {
+        if (!search.has(field.key)) continue;
+        const value = field.parse(search.get(field.key));
+        if (value !== undefined && !Number.isNaN(value)) params[name] = value;
+    }
+    return params;
+};
+
+// Every built-in look sets the whole cell style, so none inherits the last one's
+const look = (name, params, style = {}) => ({ name, params: { ...params, cellStyle: { ...DEFAULT_CELL_STYLE, ...style } } });
+
+/** Built-in looks, applied over the current sources. */
+export const BUILT_IN_PRESETS = [
+    look('Honeycomb', { mode: 'hex', scale: 14, gap: 1.5, pattern: 'checkerboard' }),
+    look('Fine Prism', { mode: 'tri', scale: 6, gap: 0, pattern: 'rows' }),
+    look('Grout Tiles', { mode: 'square', scale: 10, gap: 2, pattern: 'random', seed: 7 }, { background: '#cfc8bc', rounding: 0.3, bevel: 0.15 }),
+    look('Halftone Hex', { mode: 'hex', scale: 8, gap: 0, pattern: 'checkerboard' }, { background: '#f4f1ea', rounding: 1, modulation: 1 }),
+    look('Cairo Street', { mode: 'cairo', scale: 16, gap: 1, pattern: 'checkerboard' }),
+    look('Octagon Floor', { mode: 'truncated-square', scale: 12, gap: 1.5, pattern: 'checkerboard' }),
+    look('Kagome', { mode: 'trihexagonal', scale: 10, gap: 1, pattern: 'cols' }),
+    look('Stained Glass', { mode: 'voronoi', scale: 18, gap: 2, pattern: 'random', seed: 1337 }),
+    look('Pointillist', { mode: 'stipple', scale: 10, gap: 0, stippleIterations: 8, seed: 2024 })
+];
@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest';
+import { encodePresetHash, decodePresetHash, BUILT_IN_PRESETS, MODES, PATTERNS } from './presets';
+
+describe('preset hash', () => {
+    it('round-trips the shareable parameters', () => {
+        const params = { mode: 'trihexagonal', scale: 14, gap: 1.5, pattern: 'rows', stippleIterations: 3, pointCount: 5000, seed: 42 };
+        expect(decodePresetHash(encodePresetHash(params))).toEqual(params);
+    });
+
+    it('clamps out-of-range values', () => {
+        expect(decodePresetHash('#scale=1000&gap=-3&iter=99&pts=5&seed=-4')).toEqual({ scale: 80, gap: 0, stippleIterations: 20, pointCount: 200, seed: 0 });
+    });
+
+    it('drops unknown modes, patterns and non-numbers', () => {
+        expect(decodePresetHash('#mode=spiral&pattern=zigzag&scale=abc&gap=1')).toEqual({ gap: 1 });
+    });
+
+    it('reads an empty hash as no parameters', () => {
+        expect(decodePresetHash('')).toEqual({});
+    });
+});
+
+describe('BUILT_IN_PRESETS', () => {
+    it('only use known modes and patterns', () => {
+        for (const { params } of BUILT_IN_PRESETS) {
+            if (params.mode) expect(MODES).toContain(params.mode);
+            if (params.pattern) expect(PATTERNS).toContain(params.pattern);
+            expect(params.cellStyle).toBeDefined();
+        }
+    });
+});
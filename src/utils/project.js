@@ -0,0 +1,89 @@
+export const PROJECT_FORMAT = 'lattice-morph';
+export const PROJECT_VERSION = 1;
+export const PROJECT_EXTENSION = '.lattice';
+
+const DB_NAME = 'lattice-morph';
+const DB_STORE = 'autosave';
+const AUTOSAVE_KEY = 'session';
+
+/**
+ * Bundles sources and parameters into a project object that round-trips
+ * through JSON.
+ * @param {Object} state
+ * @param {Array<{ id: number, name?: string, dataUrl: string }>} state.images
+ * @param {Object} state.params Rendering parameters (mode, scale, gap, seed...)
+ * @param {?Array<[number, number]>} [state.points] Voronoi/stipple sites, normalised to 0..1
+ * @returns {Object}
+ */
+export const createProject = ({ images, params, points = null }) => ({
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    params,
+    sources: images.map(({ id, name, dataUrl }) => ({ id, name: name || '', dataUrl })),
+    points
+});
+
+/**
+ * Parses and validates a project file.
+ * @param {string} text
+ * @returns {Object} Project as produced by `createProject`
+ */
+export const parseProject = (text) => {
+    let project;
+    try {
+        project = JSON.parse(text);
+    } catch {
+        throw new Error('Not a Lattice Morph project file');
+    }
+    if (!project || project.format !== PROJECT_FORMAT) {
+        throw new Error('Not a Lattice Morph project file');
+    }
+    if (project.version > PROJECT_VERSION) {
+        throw new Error(`Project was saved by a newer version (v${project.version})`);
+    }
+    if (!Array.isArray(project.sources) || !project.params || typeof project.params !== 'object' || Array.isArray(project.params)) {
+        throw new Error('Project file is incomplete');
+    }
+    for (const source of project.sources) {
+        if (!source || typeof source.dataUrl !== 'string' || !source.dataUrl.startsWith('data:image/')) {
+            throw new Error('Project contains an invalid source image');
+        }
+    }
+    return project;
+};
+
+const openDatabase = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(DB_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const withStore = async (mode, action) => {
+    const db = await openDatabase();
+    try {
+        return await new Promise((resolve, reject) => {
+            const tx = db.transaction(DB_STORE, mode);
+            const request = action(tx.objectStore(DB_STORE));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            // An abort without an error (e.g. the page unloading) leaves tx.error null
+            tx.onabort = () => reject(tx.error || new Error('Storage transaction was aborted'));
+        });
+    } finally {
+        db.close();
+    }
+};
+
+/**
+ * Stores the current session in IndexedDB so it survives a closed tab.
+ * @param {Object} project From `createProject`
+ * @returns {Promise<void>}
+ */
+export const saveAutosave = (project) => withStore('readwrite', store => store.put(project, AUTOSAVE_KEY));
+
+/**
+ * @returns {Promise<?Object>} The last autosaved project, if any
+ */
+export const loadAutosave = async () => (await withStore('readonly', store => store.get(AUTOSAVE_KEY))) || null;
@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { createProject, parseProject, PROJECT_FORMAT, PROJECT_VERSION } from './project';
+
+const dataUrl = 'data:image/png;base64,AAAA';
+const valid = () => ({ format: PROJECT_FORMAT, version: PROJECT_VERSION, params: { mode: 'hex' }, sources: [{ id: 1, name: 'a', dataUrl }] });
+
+describe('parseProject', () => {
+    it('round-trips a created project', () => {
+        const project = createProject({ images: [{ id: 1, name: 'a.png', dataUrl, bitmap: {} }], params: { mode: 'hex' }, points: [[0.5, 0.5]] });
+        const parsed = parseProject(JSON.stringify(project));
+        expect(parsed.params).toEqual({ mode: 'hex' });
+        expect(parsed.sources).toEqual([{ id: 1, name: 'a.png', dataUrl }]);
+        expect(parsed.points).toEqual([[0.5, 0.5]]);
+    });
+
+    it('rejects files that are not projects', () => {
+        expect(() => parseProject('not json')).toThrow('Not a Lattice Morph project file');
+        expect(() => parseProject('null')).toThrow('Not a Lattice Morph project file');
+        expect(() => parseProject(JSON.stringify({ ...valid(), format: 'other' }))).toThrow('Not a Lattice Morph project file');
+    });
+
+    it('rejects projects from a newer version', () => {
+        expect(() => parseProject(JSON.stringify({ ...valid(), version: PROJECT_VERSION + 1 }))).toThrow('newer version');
+    });
+
+    it.each([
+        ['missing sources', { sources: undefined }],
+        ['null params', { params: null }],
+        ['array params', { params: [] }],
+        ['string params', { params: 'hex' }]
+    ])('rejects %s as incomplete', (_, patch) => {
+        expect(() => parseProject(JSON.stringify({ ...valid(), ...patch }))).toThrow('Project file is incomplete');
+    });
+
+    it('rejects sources that are not embedded images', () => {
+        expect(() => parseProject(JSON.stringify({ ...valid(), sources: [{ dataUrl: 'https://example.com/a.png' }] }))).toThrow('invalid source image');
+        expect(() => parseProject(JSON.stringify({ ...valid(), sources: [null] }))).toThrow('invalid source image');
+    });
+});
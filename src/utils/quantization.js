@@ -1,95 +1,240 @@
-
 import quantize from 'quantize';
 
+// Optimized sampling for speed: max 5000 pixels per palette
+const MAX_SAMPLES = 5000;
+
+// 8x8 Bayer threshold matrix, values 0..63
+const BAYER_8 = [
+    0, 32, 8, 40, 2, 34, 10, 42,
+    48, 16, 56, 24, 50, 18, 58, 26,
+    12, 44, 4, 36, 14, 46, 6, 38,
+    60, 28, 52, 20, 62, 30, 54, 22,
+    3, 35, 11, 43, 1, 33, 9, 41,
+    51, 19, 59, 27, 49, 17, 57, 25,
+    15, 47, 7, 39, 13, 45, 5, 37,
+    63, 31, 55, 23, 61, 29, 53, 21
+];
+
+const SRGB_TO_LINEAR = Float32Array.from({ length: 256 }, (_, i) => {
+    const c = i / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+});
+
+const labF = (t) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+
+const toByte = (v) => (v < 0 ? 0 : v > 255 ? 255 : Math.round(v));
+
 /**
- * Quantizes an array of pixel data to a limited palette.
- * @param {Uint8ClampedArray} pixelData - RGBA pixel data
- * @param {number} colorCount - Maximum number of colors (must be > 1)
- * @returns {Uint8ClampedArray} - New pixel data with quantized colors
+ * Converts an sRGB colour to CIE L*a*b* (D65).
+ * @param {number} r
+ * @param {number} g
+ * @param {number} b
+ * @returns {[number, number, number]}
  */
-export const quantizeImage = (pixelData, colorCount) => {
-    if (colorCount < 2 || colorCount > 256) return pixelData;
+export const rgbToLab = (r, g, b) => {
+    const lr = SRGB_TO_LINEAR[toByte(r)];
+    const lg = SRGB_TO_LINEAR[toByte(g)];
+    const lb = SRGB_TO_LINEAR[toByte(b)];
 
-    // 1. Extract pixels for quantization (ignoring alpha for now or handling it)
-    // quantize lib expects array of [r, g, b]
-    const pixels = [];
-    for (let i = 0; i < pixelData.length; i += 4) {
-        // Simple optimization: skip transparent pixels or sample every Nth pixel for speed?
-        // For accurate palette, we should sample enough.
-        // Let's sample every 10th pixel for performance if image is large, else all.
-        // For now, let's try sampling all or a subset.
-        if (pixelData[i + 3] < 128) continue; // Ignore transparent
-        pixels.push([pixelData[i], pixelData[i + 1], pixelData[i + 2]]);
-    }
+    const x = labF((lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / 0.95047);
+    const y = labF(lr * 0.2126 + lg * 0.7152 + lb * 0.0722);
+    const z = labF((lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / 1.08883);
+
+    return [116 * y - 16, 500 * (x - y), 200 * (y - z)];
+};
 
-    // If not enough pixels, return original
-    if (pixels.length === 0) return pixelData;
-
-    // Optimized sampling for speed: max 5000 pixels
-    const maxSamples = 5000;
-    let samplePixels = pixels;
-    if (pixels.length > maxSamples) {
-        samplePixels = [];
-        const step = Math.floor(pixels.length / maxSamples);
-        for (let i = 0; i < pixels.length; i += step) {
-            samplePixels.push(pixels[i]);
+/**
+ * Builds a function that returns the index of the palette colour nearest to an RGB value.
+ * @param {Array<[number, number, number]>} palette
+ * @param {'rgb'|'lab'} metric Plain Euclidean RGB, or Euclidean distance in Lab (perceptual)
+ * @returns {(r: number, g: number, b: number) => number}
+ */
+export const createNearestColor = (palette, metric = 'rgb') => {
+    const space = metric === 'lab' ? palette.map(([r, g, b]) => rgbToLab(r, g, b)) : palette;
+    const convert = metric === 'lab' ? rgbToLab : (r, g, b) => [r, g, b];
+
+    return (r, g, b) => {
+        const [c0, c1, c2] = convert(r, g, b);
+        let minDist = Infinity;
+        let best = 0;
+        for (let i = 0; i < space.length; i++) {
+            const d0 = c0 - space[i][0];
+            const d1 = c1 - space[i][1];
+            const d2 = c2 - space[i][2];
+            const dist = d0 * d0 + d1 * d1 + d2 * d2;
+            if (dist < minDist) {
+                minDist = dist;
+                best = i;
+            }
+        }
+        return best;
+    };
+};
+
+/**
+ * Generates a palette from one or more images with median-cut quantisation.
+ * @param {Uint8ClampedArray[]} pixelDataList RGBA pixel data, sampled together
+ * @param {number} colorCount Maximum number of colors (2..256)
+ * @returns {Array<[number, number, number]>} Palette, most significant colours first
+ */
+export const extractPalette = (pixelDataList, colorCount) => {
+    // Ignore transparent pixels; quantize lib expects array of [r, g, b]
+    let opaqueCount = 0;
+    for (const pixelData of pixelDataList) {
+        for (let i = 3; i < pixelData.length; i += 4) {
+            if (pixelData[i] >= 128) opaqueCount++;
+        }
+    }
+    if (opaqueCount === 0) return [];
+
+    const step = Math.max(1, Math.floor(opaqueCount / MAX_SAMPLES));
+    const samplePixels = [];
+    let n = 0;
+    for (const pixelData of pixelDataList) {
+        for (let i = 0; i < pixelData.length; i += 4) {
+            if (pixelData[i + 3] < 128) continue;
+            if (n++ % step === 0) samplePixels.push([pixelData[i], pixelData[i + 1], pixelData[i + 2]]);
         }
     }
 
-    // 2. Generate Palette
     const colorMap = quantize(samplePixels, colorCount);
-    if (!colorMap) return pixelData;
-
-    // palette is array of [r, g, b]
-    const palette = colorMap.palette();
+    if (!colorMap) return [];
+    // quantize can overshoot the requested count by one
+    return colorMap.palette().slice(0, colorCount);
+};
 
-    // 3. Map original pixels to nearest palette color
-    // Determine nearest color (Euclidean distance)
-    // Could cache mapping if colors repeat often, but for now simple loop.
+/**
+ * Combines an automatic palette with user-locked swatches. Locked slots keep
+ * their colour; each one displaces the automatic colour closest to it, and the
+ * remaining automatic colours fill the unlocked slots in order.
+ * @param {Array<[number, number, number]>} auto Palette from `extractPalette`
+ * @param {Object<number, [number, number, number]>} [locks] Locked colours by slot index
+ * @param {number} count Number of slots
+ * @returns {Array<[number, number, number]>}
+ */
+export const resolvePalette = (auto, locks = {}, count = auto.length) => {
+    const remaining = [...auto];
+    for (const color of Object.values(locks)) {
+        if (remaining.length === 0) break;
+        const nearest = createNearestColor(remaining)(color[0], color[1], color[2]);
+        remaining.splice(nearest, 1);
+    }
 
-    const newPixelData = new Uint8ClampedArray(pixelData.length);
+    const palette = [];
+    for (let slot = 0; slot < count; slot++) {
+        if (locks[slot]) palette.push(locks[slot]);
+        else if (remaining.length > 0) palette.push(remaining.shift());
+    }
+    return palette;
+};
 
-    // We can build a lookup table if the input image has limited colors, but it usually doesn't.
-    // For 256 colors, simple distance check is okayish for small images, but slow for 4k.
-    // Optimization: Render Loop will do the actual drawing. 
-    // Maybe we just return the Palette and a function to map?
-    // Or we modify the data in place? 
-    // Let's return a map lookup function? No, `renderScene` needs pixel data.
-    // Let's map it.
-
-    for (let i = 0; i < pixelData.length; i += 4) {
-        if (pixelData[i + 3] === 0) {
-            newPixelData[i] = 0;
-            newPixelData[i + 1] = 0;
-            newPixelData[i + 2] = 0;
-            newPixelData[i + 3] = 0;
-            continue;
-        }
+/**
+ * Maps every pixel to its nearest palette colour, optionally dithering.
+ * @param {Uint8ClampedArray} pixelData RGBA pixel data
+ * @param {number} width
+ * @param {number} height
+ * @param {Array<[number, number, number]>} palette
+ * @param {Object} [options]
+ * @param {'rgb'|'lab'} [options.metric]
+ * @param {'none'|'floyd-steinberg'|'ordered'} [options.dither]
+ * @returns {Uint8ClampedArray} New pixel data with quantized colors
+ */
+export const applyPalette = (pixelData, width, height, palette, { metric = 'rgb', dither = 'none' } = {}) => {
+    if (palette.length === 0) return pixelData;
 
-        const r = pixelData[i];
-        const g = pixelData[i + 1];
-        const b = pixelData[i + 2];
+    const nearest = createNearestColor(palette, metric);
+    const newPixelData = new Uint8ClampedArray(pixelData.length);
 
-        // Find nearest in palette
-        let minDist = Infinity;
-        let pColor = palette[0];
+    // Error diffusion works on a float copy so the spread error isn't clamped
+    const error = dither === 'floyd-steinberg' ? new Float32Array(width * height * 3) : null;
+    // Ordered dither offsets scale with how far apart palette colours roughly are
+    const spread = 255 / Math.cbrt(palette.length);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const p = y * width + x;
+            const i = p * 4;
+            if (pixelData[i + 3] === 0) continue; // stays transparent black
+
+            let r = pixelData[i];
+            let g = pixelData[i + 1];
+            let b = pixelData[i + 2];
+
+            if (error) {
+                r += error[p * 3];
+                g += error[p * 3 + 1];
+                b += error[p * 3 + 2];
+            } else if (dither === 'ordered') {
+                const offset = (BAYER_8[(y % 8) * 8 + (x % 8)] / 64 - 0.5) * spread;
+                r += offset;
+                g += offset;
+                b += offset;
+            }
 
-        for (const color of palette) {
-            const dr = r - color[0];
-            const dg = g - color[1];
-            const db = b - color[2];
-            const dist = dr * dr + dg * dg + db * db;
-            if (dist < minDist) {
-                minDist = dist;
-                pColor = color;
+            const pColor = palette[nearest(toByte(r), toByte(g), toByte(b))];
+            newPixelData[i] = pColor[0];
+            newPixelData[i + 1] = pColor[1];
+            newPixelData[i + 2] = pColor[2];
+            newPixelData[i + 3] = pixelData[i + 3]; // Keep alpha
+
+            if (error) {
+                const er = r - pColor[0];
+                const eg = g - pColor[1];
+                const eb = b - pColor[2];
+                const spreadError = (nx, ny, weight) => {
+                    if (nx < 0 || nx >= width || ny >= height) return;
+                    const q = (ny * width + nx) * 3;
+                    error[q] += er * weight;
+                    error[q + 1] += eg * weight;
+                    error[q + 2] += eb * weight;
+                };
+                spreadError(x + 1, y, 7 / 16);
+                spreadError(x - 1, y + 1, 3 / 16);
+                spreadError(x, y + 1, 5 / 16);
+                spreadError(x + 1, y + 1, 1 / 16);
             }
         }
-
-        newPixelData[i] = pColor[0];
-        newPixelData[i + 1] = pColor[1];
-        newPixelData[i + 2] = pColor[2];
-        newPixelData[i + 3] = pixelData[i + 3]; // Keep alpha
     }
 
     return newPixelData;
 };
+
+/**
+ * Quantizes an array of pixel data to a limited palette.
+ * @param {Uint8ClampedArray} pixelData - RGBA pixel data
+ * @param {number} colorCount - Maximum number of colors (must be > 1)
+ * @returns {Uint8ClampedArray} - New pixel data with quantized colors
+ */
+export const quantizeImage = (pixelData, colorCount) => {
+    if (colorCount < 2 || colorCount > 256) return pixelData;
+
+    const palette = extractPalette([pixelData], colorCount);
+    // Without dithering the row width doesn't matter
+    return applyPalette(pixelData, pixelData.length / 4, 1, palette);
+};
+
+/**
+ * Posterize stage of the render pipeline: reduces every source to a palette
+ * before cells are sampled.
+ * @param {Uint8ClampedArray[]} imagePixelData
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} options
+ * @param {number} options.count Colours per palette
+ * @param {boolean} options.shared One palette for all sources instead of one each
+ * @param {'rgb'|'lab'} options.metric
+ * @param {'none'|'floyd-steinberg'|'ordered'} options.dither
+ * @param {Array<Object<number, [number, number, number]>>} [options.locks] Locked swatches, one entry per palette
+ * @param {Array<Array<[number, number, number]>>} [options.palettes] Use these palettes as-is instead of extracting
+ * @returns {{ pixelData: Uint8ClampedArray[], palettes: Array<Array<[number, number, number]>> }}
+ */
+export const posterize = (imagePixelData, width, height, { count, shared, metric, dither, locks = [], palettes }) => {
+    const resolved = palettes || (shared
+        ? [resolvePalette(extractPalette(imagePixelData, count), locks[0], count)]
+        : imagePixelData.map((pixels, i) => resolvePalette(extractPalette([pixels], count), locks[i], count)));
+
+    const pixelData = imagePixelData.map((pixels, i) =>
+        applyPalette(pixels, width, height, resolved[shared ? 0 : i], { metric, dither })
+    );
+    return { pixelData, palettes: resolved };
+};
@@ -0,0 +1,37 @@
+/**
+ * Creates a deterministic pseudo-random generator (mulberry32).
+ * The same seed always yields the same sequence, so layouts can be reproduced.
+ * @param {number} seed 32-bit integer
+ * @returns {() => number} Returns floats in [0, 1), like Math.random
+ */
+export const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Hashes integer grid coordinates and a seed into an unsigned 32-bit integer.
+ * Used where a random value must depend only on position, not draw order.
+ * @param {number} x
+ * @param {number} y
+ * @param {number} seed
+ * @returns {number}
+ */
+export const hashCoords = (x, y, seed) => {
+    let h = Math.imul(x | 0, 0x27d4eb2d) ^ Math.imul(y | 0, 0x165667b1) ^ Math.imul(seed | 0, 0x9e3779b1);
+    h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return (h ^ (h >>> 16)) >>> 0;
+};
+
+/**
+ * Picks a fresh seed for a new layout.
+ * @returns {number} Integer in [0, 2^31)
+ */
+export const randomSeed = () => Math.floor(Math.random() * 0x80000000);
@@ -0,0 +1,249 @@
+import { zipSync, strToU8 } from 'fflate';
+import { toHexColor, parseHexColor } from './color';
+import { clipPolygon, insetPolygon } from './lattices';
+import { shapeCenter } from './scene';
+import { createSampler } from './sampling';
+
+export const RELIEF_FORMATS = {
+    stl: { label: 'STL', extension: 'stl', type: 'model/stl' },
+    obj: { label: 'OBJ+MTL', extension: 'zip', type: 'application/zip' },
+    '3mf': { label: '3MF', extension: '3mf', type: 'model/3mf' }
+};
+
+export const RELIEF_HEIGHTS = ['brightness', 'source'];
+
+export const DEFAULT_RELIEF_SETTINGS = {
+    format: 'stl',
+    width: 150, // mm; the depth follows the image
+    base: 2, // Plate thickness in mm, 0 for loose tiles
+    minHeight: 0.6, // mm above the plate
+    maxHeight: 3,
+    heightBy: 'brightness', // Brightness of the cell's colour, or of one source under the cell
+    invert: false, // Dark cells stand tallest
+    source: 0 // Index of the source 'source' heights follow
+};
+
+// Sides of the prism standing in for a stipple dot
+const CIRCLE_SEGMENTS = 16;
+
+const signedArea = (ring) => {
+    let area = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        area += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+    }
+    return area / 2;
+};
+
+const circlePolygon = ({ x, y, r }) => Array.from({ length: CIRCLE_SEGMENTS }, (_, i) => {
+    const a = (i / CIRCLE_SEGMENTS) * Math.PI * 2;
+    return [x + Math.cos(a) * r, y + Math.sin(a) * r];
+});
+
+// Cells are convex, so a fan from the first vertex triangulates each cap
+const addPrism = (part, ring, z0, z1) => {
+    const n = ring.length;
+    const first = part.positions.length / 3;
+    for (const [x, y] of ring) part.positions.push(x, y, z0);
+    for (const [x, y] of ring) part.positions.push(x, y, z1);
+    const bottom = (i) => first + i;
+    const top = (i) => first + n + i;
+    for (let i = 1; i < n - 1; i++) {
+        part.triangles.push(top(0), top(i), top(i + 1));
+        part.triangles.push(bottom(0), bottom(i + 1), bottom(i));
+    }
+    for (let i = 0; i < n; i++) {
+        const j = (i + 1) % n;
+        part.triangles.push(bottom(i), bottom(j), top(j), bottom(i), top(j), top(i));
+    }
+};
+
+/**
+ * Turns a scene into a relief: every cell becomes a prism standing on a base
+ * plate, as tall as its brightness, or as bright as the chosen source is
+ * under it. Gaps between cells become grooves down to the plate; the Voronoi
+ * gap, drawn as a stroke in 2D, is cut out of each cell here. Sizes are in
+ * millimetres with z up and the image's top edge at the far end.
+ * @param {Object} scene From `buildScene`
+ * @param {Object} settings See DEFAULT_RELIEF_SETTINGS
+ * @param {?Uint8ClampedArray} [heightPixels] RGBA data of the chosen source, scene-sized; needed for 'source' heights
+ * @returns {{ parts: Array<{ name: string, color: [number, number, number], positions: number[], triangles: number[] }>,
+ *   stats: { cells: number, triangles: number, size: [number, number, number] } }}
+ *   One part per colour (or material), plus the plate in the gap colour
+ */
+export const planRelief = (scene, settings, heightPixels = null) => {
+    const { width, base, minHeight, maxHeight, heightBy, invert } = settings;
+    if (heightBy === 'source' && !heightPixels) throw new Error('No source to take the heights from');
+    const sampleHeight = heightBy === 'source' ? createSampler(heightPixels, scene.width, scene.height, 'mean') : null;
+    const mm = width / scene.width;
+    const depth = scene.height * mm;
+    const groove = scene.stroke ? scene.stroke.width / 2 : 0;
+
+    const parts = new Map();
+    const partFor = (shape) => {
+        const key = shape.material !== undefined ? `m${shape.material}` : toHexColor(shape.fill);
+        if (!parts.has(key)) {
+            const name = shape.material !== undefined ? scene.materials[shape.material].name : key;
+            parts.set(key, { name, color: shape.fill, positions: [], triangles: [] });
+        }
+        return parts.get(key);
+    };
+
+    let cells = 0;
+    let top = base;
+    for (const shape of scene.shapes) {
+        let outline = shape.type === 'circle' ? circlePolygon(shape) : shape.points;
+        if (groove > 0) {
+            const [x, y] = shapeCenter(shape);
+            outline = insetPolygon(outline, x, y, groove);
+        }
+        const clipped = clipPolygon(outline, scene.width, scene.height);
+        // Scene y runs down the image; flip it so the relief reads the right way up from above
+        const ring = clipped.map(([x, y]) => [x * mm, (scene.height - y) * mm]);
+        const area = signedArea(ring);
+        if (ring.length < 3 || Math.abs(area) < 1e-6) continue;
+        if (area < 0) ring.reverse();
+
+        const [r, g, b] = sampleHeight ? sampleHeight(clipped, ...shapeCenter(shape)) : shape.fill;
+        let level = (r + g + b) / (3 * 255);
+        if (invert) level = 1 - level;
+        const height = minHeight + (maxHeight - minHeight) * level;
+        if (height <= 0) continue;
+
+        addPrism(partFor(shape), ring, base, base + height);
+        top = Math.max(top, base + height);
+        cells++;
+    }
+
+    const result = [...parts.values()];
+    if (base > 0) {
+        const plate = { name: 'base', color: parseHexColor(scene.background) || [0, 0, 0], positions: [], triangles: [] };
+        addPrism(plate, [[0, 0], [width, 0], [width, depth], [0, depth]], 0, base);
+        result.unshift(plate);
+    }
+
+    return {
+        parts: result,
+        stats: {
+            cells,
+            triangles: result.reduce((sum, part) => sum + part.triangles.length / 3, 0),
+            size: [width, depth, top]
+        }
+    };
+};
+
+const round = (v) => +v.toFixed(4);
+
+/**
+ * Binary STL: a single uncoloured mesh, as most slicers and CAM tools expect.
+ * @param {ReturnType<typeof planRelief>} relief
+ * @returns {Uint8Array}
+ */
+export const reliefToStl = ({ parts, stats }) => {
+    const bytes = new Uint8Array(84 + stats.triangles * 50);
+    const view = new DataView(bytes.buffer);
+    bytes.set(strToU8('Lattice Morph relief'));
+    view.setUint32(80, stats.triangles, true);
+
+    let offset = 84;
+    for (const { positions: p, triangles } of parts) {
+        for (let t = 0; t < triangles.length; t += 3) {
+            const [a, b, c] = [triangles[t] * 3, triangles[t + 1] * 3, triangles[t + 2] * 3];
+            const u = [p[b] - p[a], p[b + 1] - p[a + 1], p[b + 2] - p[a + 2]];
+            const v = [p[c] - p[a], p[c + 1] - p[a + 1], p[c + 2] - p[a + 2]];
+            const n = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+            const length = Math.hypot(...n) || 1;
+            for (const value of [...n.map(x => x / length), p[a], p[a + 1], p[a + 2], p[b], p[b + 1], p[b + 2], p[c], p[c + 1], p[c + 2]]) {
+                view.setFloat32(offset, value, true);
+                offset += 4;
+            }
+            offset += 2; // Attribute byte count
+        }
+    }
+    return bytes;
+};
+
+/**
+ * Wavefront OBJ with one object and one material per colour, zipped together
+ * with its MTL file.
+ * @param {ReturnType<typeof planRelief>} relief
+ * @param {string} name File name without extension
+ * @returns {Uint8Array} Zip archive
+ */
+export const reliefToObj = ({ parts }, name) => {
+    const obj = [`mtllib ${name}.mtl`];
+    const mtl = [];
+    let offset = 1;
+    parts.forEach((part, i) => {
+        const material = `m${i}_${part.name.replace(/[^\w-]+/g, '_')}`;
+        mtl.push(`newmtl ${material}`, `Kd ${part.color.map(c => round(c / 255)).join(' ')}`, '');
+        obj.push(`o ${material}`, `usemtl ${material}`);
+        for (let v = 0; v < part.positions.length; v += 3) {
+            obj.push(`v ${round(part.positions[v])} ${round(part.positions[v + 1])} ${round(part.positions[v + 2])}`);
+        }
+        for (let t = 0; t < part.triangles.length; t += 3) {
+            obj.push(`f ${part.triangles[t] + offset} ${part.triangles[t + 1] + offset} ${part.triangles[t + 2] + offset}`);
+        }
+        offset += part.positions.length / 3;
+    });
+    return zipSync({ [`${name}.obj`]: strToU8(obj.join('\n')), [`${name}.mtl`]: strToU8(mtl.join('\n')) });
+};
+
+const escapeXml = (text) => text.replace(/[<>&"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }[c]));
+
+/**
+ * 3MF package with one object per colour, each tied to a base material so
+ * multi-colour slicers can assign filaments.
+ * @param {ReturnType<typeof planRelief>} relief
+ * @returns {Uint8Array} Zip archive
+ */
+export const reliefTo3mf = ({ parts }) => {
+    const materials = parts.map(part => `<base name="${escapeXml(part.name)}" displaycolor="${toHexColor(part.color).toUpperCase()}" />`);
+    const objects = parts.map((part, i) => {
+        const vertices = [];
+        for (let v = 0; v < part.positions.length; v += 3) {
+            vertices.push(`<vertex x="${round(part.positions[v])}" y="${round(part.positions[v + 1])}" z="${round(part.positions[v + 2])}" />`);
+        }
+        const triangles = [];
+        for (let t = 0; t < part.triangles.length; t += 3) {
+            triangles.push(`<triangle v1="${part.triangles[t]}" v2="${part.triangles[t + 1]}" v3="${part.triangles[t + 2]}" />`);
+        }
+        return `<object id="${i + 2}" name="${escapeXml(part.name)}" type="model" pid="1" pindex="${i}"><mesh><vertices>${vertices.join('')}</vertices><triangles>${triangles.join('')}</triangles></mesh></object>`;
+    });
+    const model = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<model unit="millimeter" xml:lang="en-US" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02">',
+        `<resources><basematerials id="1">${materials.join('')}</basematerials>${objects.join('')}</resources>`,
+        `<build>${parts.map((_, i) => `<item objectid="${i + 2}" />`).join('')}</build>`,
+        '</model>'
+    ].join('\n');
+
+    return zipSync({
+        '[Content_Types].xml': strToU8([
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml" />',
+            '<Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml" />',
+            '</Types>'
+        ].join('\n')),
+        '_rels/.rels': strToU8([
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+            '<Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel" />',
+            '</Relationships>'
+        ].join('\n')),
+        '3D/3dmodel.model': strToU8(model)
+    });
+};
+
+/**
+ * Serialises a relief in the format chosen in the settings.
+ * @param {ReturnType<typeof planRelief>} relief
+ * @param {Object} settings
+ * @param {string} name File name without extension, used inside archives
+ * @returns {Uint8Array}
+ */
+export const writeRelief = (relief, settings, name) => {
+    if (settings.format === 'obj') return reliefToObj(relief, name);
+    if (settings.format === '3mf') return reliefTo3mf(relief);
+    return reliefToStl(relief);
+};
@@ -0,0 +1,69 @@
+const createWorker = () => new Worker(new URL('../workers/render.worker.js', import.meta.url), { type: 'module' });
+
+/**
+ * Runs the render pipeline in a Web Worker. Only one job runs at a time:
+ * starting a new one, or calling `cancel`, terminates the worker mid-render
+ * and resolves the superseded job with `null`.
+ * @returns {{ render: Function, cancel: Function, dispose: Function }}
+ */
+export const createRenderer = () => {
+    let worker = null;
+    let job = null;
+    let nextId = 0;
+
+    const cancel = () => {
+        if (!job) return;
+        worker.terminate();
+        worker = null;
+        job.resolve(null);
+        job = null;
+    };
+
+    /**
+     * @param {Object} request
+     * @param {ImageBitmap[]} request.sources
+     * @param {?ImageBitmap} [request.maskSource] Uploaded alternation mask
+     * @param {?ImageBitmap} [request.densitySource] Uploaded stipple density image
+     * @param {number} request.width
+     * @param {number} request.height
+     * @param {Object} request.params Options for `buildScene`, plus `palette` for the posterize stage and
+     *   `transforms` (one per source) for placing the sources
+     * @param {'bitmap'|'scene'} [request.output] 'scene' skips drawing and only returns the shapes
+     * @param {(progress: { stage: string, current: number, total: number }) => void} [onProgress]
+     * @returns {Promise<?{ scene: Object, palettes: ?Array, bitmap?: ImageBitmap }>}
+     */
+    const render = ({ sources, maskSource = null, densitySource = null, width, height, params, output = 'bitmap' }, onProgress) => {
+        cancel();
+        if (!worker) worker = createWorker();
+
+        const id = ++nextId;
+        return new Promise((resolve, reject) => {
+            job = { resolve, reject };
+
+            worker.onmessage = ({ data }) => {
+                if (data.id !== id) return;
+                if (data.type === 'progress') {
+                    if (onProgress) onProgress({ stage: data.stage, current: data.current, total: data.total });
+                    return;
+                }
+                job = null;
+                if (data.type === 'error') reject(new Error(data.message));
+                else resolve({ scene: data.scene, palettes: data.palettes, bitmap: data.bitmap });
+            };
+            worker.onerror = (event) => {
+                job = null;
+                reject(new Error(event.message || 'Render worker failed'));
+            };
+
+            worker.postMessage({ id, sources, maskSource, densitySource, width, height, params, output });
+        });
+    };
+
+    const dispose = () => {
+        cancel();
+        if (worker) worker.terminate();
+        worker = null;
+    };
+
+    return { render, cancel, dispose };
+};
@@ -0,0 +1,181 @@
+// Dominant colour buckets: 5 bits per channel
+const DOMINANT_BITS = 5;
+const DOMINANT_SHIFT = 8 - DOMINANT_BITS;
+
+/**
+ * Calls back with every horizontal run of pixels whose (integer) coordinates
+ * lie inside a polygon. Works for any simple polygon, convex or not, and clips
+ * to the image.
+ * @param {Array<[number, number]>} polygon
+ * @param {number} width
+ * @param {number} height
+ * @param {(y: number, x0: number, x1: number) => void} callback Inclusive pixel range on row y
+ */
+export const forEachPolygonSpan = (polygon, width, height, callback) => {
+    let minY = Infinity;
+    let maxY = -Infinity;
+    for (const [, py] of polygon) {
+        if (py < minY) minY = py;
+        if (py > maxY) maxY = py;
+    }
+    minY = Math.max(0, Math.ceil(minY));
+    maxY = Math.min(height - 1, Math.floor(maxY));
+
+    const n = polygon.length;
+    const crossings = [];
+    for (let y = minY; y <= maxY; y++) {
+        crossings.length = 0;
+        for (let i = 0, j = n - 1; i < n; j = i++) {
+            const [xi, yi] = polygon[i];
+            const [xj, yj] = polygon[j];
+            // Half-open rule so a vertex on the scanline is counted once
+            if ((yi <= y) !== (yj <= y)) {
+                crossings.push(xi + ((y - yi) / (yj - yi)) * (xj - xi));
+            }
+        }
+        crossings.sort((a, b) => a - b);
+        for (let k = 0; k + 1 < crossings.length; k += 2) {
+            const x0 = Math.max(0, Math.ceil(crossings[k]));
+            const x1 = Math.min(width - 1, Math.floor(crossings[k + 1]));
+            if (x0 <= x1) callback(y, x0, x1);
+        }
+    }
+};
+
+/**
+ * Builds per-row running sums of each channel, so the mean over any run of
+ * pixels is two lookups. Row y occupies entries y * (width + 1) .. + width.
+ * @param {Uint8ClampedArray} pixels
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint32Array[]} One table per channel (r, g, b)
+ */
+const buildRowSums = (pixels, width, height) => {
+    const stride = width + 1;
+    const sums = [0, 1, 2].map(() => new Uint32Array(stride * height));
+    for (let y = 0; y < height; y++) {
+        const row = y * stride;
+        for (let c = 0; c < 3; c++) {
+            const table = sums[c];
+            let acc = 0;
+            let idx = y * width * 4 + c;
+            for (let x = 0; x < width; x++, idx += 4) {
+                acc += pixels[idx];
+                table[row + x + 1] = acc;
+            }
+        }
+    }
+    return sums;
+};
+
+const medianOf = (histogram, count) => {
+    const half = count / 2;
+    let seen = 0;
+    for (let v = 0; v < 256; v++) {
+        seen += histogram[v];
+        if (seen >= half) return v;
+    }
+    return 255;
+};
+
+/**
+ * Creates a cell colour sampler for one source image.
+ *
+ * - `center`: the single pixel at the cell centre
+ * - `mean`: average over the cell footprint, via per-row running sums
+ * - `median`: per-channel median over the footprint
+ * - `dominant`: average of the most common colour bucket in the footprint
+ *
+ * Footprints that cover no pixel centre (very small cells) fall back to `center`.
+ *
+ * @param {Uint8ClampedArray} pixels RGBA pixel data
+ * @param {number} width
+ * @param {number} height
+ * @param {'center'|'mean'|'median'|'dominant'} method
+ * @returns {(polygon: ?Array<[number, number]>, x: number, y: number) => [number, number, number]}
+ */
+export const createSampler = (pixels, width, height, method = 'center') => {
+    const sampleCenter = (x, y) => {
+        const sampleX = Math.max(0, Math.min(width - 1, Math.floor(x)));
+        const sampleY = Math.max(0, Math.min(height - 1, Math.floor(y)));
+        const idx = (sampleY * width + sampleX) * 4;
+        return [pixels[idx], pixels[idx + 1], pixels[idx + 2]];
+    };
+
+    if (method === 'mean') {
+        const [sumR, sumG, sumB] = buildRowSums(pixels, width, height);
+        const stride = width + 1;
+        return (polygon, x, y) => {
+            if (!polygon) return sampleCenter(x, y);
+            let r = 0, g = 0, b = 0, count = 0;
+            forEachPolygonSpan(polygon, width, height, (row, x0, x1) => {
+                const start = row * stride + x0;
+                const end = row * stride + x1 + 1;
+                r += sumR[end] - sumR[start];
+                g += sumG[end] - sumG[start];
+                b += sumB[end] - sumB[start];
+                count += x1 - x0 + 1;
+            });
+            if (count === 0) return sampleCenter(x, y);
+            return [Math.round(r / count), Math.round(g / count), Math.round(b / count)];
+        };
+    }
+
+    if (method === 'median') {
+        const histograms = [new Uint32Array(256), new Uint32Array(256), new Uint32Array(256)];
+        return (polygon, x, y) => {
+            if (!polygon) return sampleCenter(x, y);
+            histograms.forEach(h => h.fill(0));
+            let count = 0;
+            forEachPolygonSpan(polygon, width, height, (row, x0, x1) => {
+                for (let idx = (row * width + x0) * 4, end = (row * width + x1) * 4; idx <= end; idx += 4) {
+                    histograms[0][pixels[idx]]++;
+                    histograms[1][pixels[idx + 1]]++;
+                    histograms[2][pixels[idx + 2]]++;
+                    count++;
+                }
+            });
+            if (count === 0) return sampleCenter(x, y);
+            return histograms.map(h => medianOf(h, count));
+        };
+    }
+
+    if (method === 'dominant') {
+        const buckets = 1 << (DOMINANT_BITS * 3);
+        const counts = new Uint32Array(buckets);
+        const sums = new Float64Array(buckets * 3);
+        const touched = [];
+        return (polygon, x, y) => {
+            if (!polygon) return sampleCenter(x, y);
+            let best = -1;
+            forEachPolygonSpan(polygon, width, height, (row, x0, x1) => {
+                for (let idx = (row * width + x0) * 4, end = (row * width + x1) * 4; idx <= end; idx += 4) {
+                    const r = pixels[idx], g = pixels[idx + 1], b = pixels[idx + 2];
+                    const key = ((r >> DOMINANT_SHIFT) << (DOMINANT_BITS * 2)) | ((g >> DOMINANT_SHIFT) << DOMINANT_BITS) | (b >> DOMINANT_SHIFT);
+                    if (counts[key] === 0) touched.push(key);
+                    counts[key]++;
+                    sums[key * 3] += r;
+                    sums[key * 3 + 1] += g;
+                    sums[key * 3 + 2] += b;
+                    if (best < 0 || counts[key] > counts[best]) best = key;
+                }
+            });
+            if (best < 0) return sampleCenter(x, y);
+            const n = counts[best];
+            const color = [
+                Math.round(sums[best * 3] / n),
+                Math.round(sums[best * 3 + 1] / n),
+                Math.round(sums[best * 3 + 2] / n)
+            ];
+            // Reset only the buckets this cell used
+            for (const key of touched) {
+                counts[key] = 0;
+                sums[key * 3] = sums[key * 3 + 1] = sums[key * 3 + 2] = 0;
+            }
+            touched.length = 0;
+            return color;
+        };
+    }
+
+    return (polygon, x, y) => sampleCenter(x, y);
+};
@@ -0,0 +1,238 @@
+import {
+    generateRandomPoints,
+    generateWeightedPoints,
+    computeVoronoi,
+    relaxPoints,
+    getAlternationIndex
+} from './tessellation';
+import { createSampler } from './sampling';
+import { LATTICES, insetPolygon, isLatticeMode, transformedLatticeCells, DEFAULT_LATTICE_TRANSFORM } from './lattices';
+import { createRandom } from './random';
+import { maskBand } from './masks';
+import { blendColors } from './blending';
+import { buildDensityMap, densityAt } from './density';
+import { adaptiveCells, adaptiveSeeds } from './adaptive';
+import { lowPolyCells } from './lowpoly';
+
+export const BACKGROUND_COLOR = '#0a0a0a';
+
+const DEFAULT_ADAPTIVE = { shape: 'square', threshold: 0.08, minSize: 4, maxSize: 64 };
+const DEFAULT_LOW_POLY = { threshold: 0.2, budget: 3000, border: 'edges' };
+
+/**
+ * Returns the centre of a shape: the circle centre or the polygon's vertex average.
+ * @param {Object} shape
+ * @returns {[number, number]}
+ */
+export const shapeCenter = (shape) => {
+    if (shape.type === 'circle') return [shape.x, shape.y];
+    let x = 0;
+    let y = 0;
+    for (const point of shape.points) {
+        x += point[0];
+        y += point[1];
+    }
+    return [x / shape.points.length, y / shape.points.length];
+};
+
+/**
+ * Checks whether a shape's centre lies on the canvas, i.e. the cell would
+ * exist in a physical build rather than being clipped away at the border.
+ * @param {Object} scene
+ * @param {Object} shape
+ * @returns {boolean}
+ */
+export const isShapeOnCanvas = (scene, shape) => {
+    const [x, y] = shapeCenter(shape);
+    return x >= 0 && y >= 0 && x <= scene.width && y <= scene.height;
+};
+
+/**
+ * Names a cell so edits made to it can be found again after re-rendering.
+ * Lattice cells are named by their lattice indices, so an edit stays on the
+ * same cell when the scale, gap or placement change; Voronoi and stipple
+ * cells by their site, and adaptive and low-poly cells by their position in
+ * the layout, which only holds while the layout is unchanged.
+ * @param {string} mode
+ * @param {{ col?: number, row?: number, site?: number, index?: number }} cell
+ * @returns {string}
+ */
+export const cellKey = (mode, { col, row, site, index }) => {
+    if (site !== undefined) return `${mode}:s${site}`;
+    if (index !== undefined) return `${mode}:c${index}`;
+    return `${mode}:${col},${row}`;
+};
+
+/**
+ * Runs the tessellation pipeline and returns a resolution-independent list of shapes.
+ * The same scene can be painted onto a canvas or serialised as vector output.
+ *
+ * Shapes are either `{ type: 'polygon', points, fill, source, key }` or
+ * `{ type: 'circle', x, y, r, fill, source, key }`, where `fill` is an `[r, g, b]`
+ * triple and `source` is the index of the image the colour was sampled from.
+ * `key` names the cell for per-cell overrides, see `cellKey`.
+ *
+ * @param {Uint8ClampedArray[]} imagePixelData RGBA data for every source, all sized width x height
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} options
+ * @param {string} options.mode 'voronoi', 'stipple', 'adaptive', 'lowpoly' or any key of `LATTICES`
+ * @param {number} options.scale
+ * @param {number} options.gap
+ * @param {string} options.pattern Alternation pattern
+ * @param {number} options.stippleIterations
+ * @param {number} [options.pointCount] Number of stipple dots
+ * @param {{ rotation: number, shear: number, originX: number, originY: number }} [options.latticeTransform] Placement
+ *   of the periodic lattices, see `transformedLatticeCells`
+ * @param {{ shape: string, threshold: number, minSize: number, maxSize: number }} [options.adaptive] Subdivision
+ *   settings for the 'adaptive' mode, see `adaptiveCells`
+ * @param {{ threshold: number, budget: number, border: string }} [options.lowPoly] Vertex placement for the
+ *   'lowpoly' mode, see `lowPolyCells`
+ * @param {'center'|'mean'|'median'|'dominant'} [options.sampling] How a cell's colour is taken from its footprint
+ * @param {number} [options.seed] Drives point placement and the 'random' alternation
+ * @param {?Float32Array} [options.mask] 0..1 map from `buildMask`; with pattern 'mask' it picks each cell's source
+ * @param {?Float32Array} [options.density] Stipple weight map from `buildDensityMap`; defaults to the darkness of source 1
+ * @param {number} [options.morph] 0..1 blend of every cell toward the next source, for animating between images
+ * @param {?{ mode: string, weights: number[] }} [options.blend] Mixes every source into each cell instead of
+ *   picking one; `source` is then the most heavily weighted image
+ * @param {?Array<[number, number]>} [options.points] Fixed Voronoi/stipple sites, normalised to 0..1; skips generation and relaxation
+ * @param {Object<string, { source?: number, fill?: [number, number, number], hidden?: boolean }>} [options.overrides] Per-cell
+ *   edits by `key`: a fixed source, a fixed colour or hiding the cell
+ * @param {(stage: string, current: number, total: number) => void} [options.onProgress]
+ * @returns {{ width: number, height: number, background: string, stroke: ?{ color: string, width: number }, sourceCount: number, shapes: Object[], hidden: Object[], points: ?Array<[number, number]> }}
+ *   `points` holds the final Voronoi/stipple sites in pixels, null for lattices; `hidden` the shapes left out by overrides
+ */
+export const buildScene = (imagePixelData, width, height, { mode, scale, gap, pattern, stippleIterations, pointCount: stippleCount = 2000, latticeTransform = DEFAULT_LATTICE_TRANSFORM, adaptive = DEFAULT_ADAPTIVE, lowPoly = DEFAULT_LOW_POLY, sampling = 'center', seed = 0, mask = null, density = null, morph = 0, blend = null, points: fixedPoints = null, overrides = {}, onProgress }) => {
+    const imageCount = imagePixelData.length;
+    const shapes = [];
+    const hidden = [];
+    let stroke = null;
+    let sites = null;
+
+    const isBlending = blend && blend.mode !== 'none' && imageCount > 1;
+    const weights = isBlending ? imagePixelData.map((_, i) => (blend.weights[i] === undefined ? 1 : blend.weights[i])) : null;
+    const heaviestSource = isBlending ? weights.indexOf(Math.max(...weights)) : 0;
+
+    const pickSource = (col, row, x, y) => {
+        if (isBlending) return heaviestSource;
+        return pattern === 'mask' && mask
+            ? maskBand(mask, width, height, x, y, imageCount)
+            : getAlternationIndex(col, row, pattern, imageCount, seed);
+    };
+
+    // Samplers are built on first use; 'mean' precomputes running sums per source.
+    // Low-poly triangles are large, so their centre pixel is a poor stand-in: they always average
+    const samplingMethod = mode === 'lowpoly' && sampling === 'center' ? 'mean' : sampling;
+    const samplers = [];
+    const sample = (source, polygon, x, y) => {
+        if (!samplers[source]) samplers[source] = createSampler(imagePixelData[source], width, height, samplingMethod);
+        return samplers[source](polygon, x, y);
+    };
+
+    // Mixes all sources when blending; otherwise cross-fades toward the next source by `morph`
+    const sampleCell = (source, polygon, x, y) => {
+        if (isBlending) {
+            return blendColors(imagePixelData.map((_, i) => sample(i, polygon, x, y)), weights, blend.mode);
+        }
+        const fill = sample(source, polygon, x, y);
+        if (morph <= 0 || imageCount < 2) return fill;
+        const next = sample((source + 1) % imageCount, polygon, x, y);
+        return fill.map((c, i) => Math.round(c + (next[i] - c) * morph));
+    };
+
+    // Applies the cell's override, if any: a picked source shows on its own, even when blending
+    const colorCell = (key, col, row, polygon, x, y) => {
+        const override = overrides[key];
+        if (override && override.source !== undefined && override.source < imageCount) {
+            return { source: override.source, fill: override.fill || sample(override.source, polygon, x, y) };
+        }
+        const source = pickSource(col, row, x, y);
+        return { source, fill: (override && override.fill) || sampleCell(source, polygon, x, y) };
+    };
+    const addShape = (shape) => {
+        const override = overrides[shape.key];
+        (override && override.hidden ? hidden : shapes).push(shape);
+    };
+
+    // Adaptive Voronoi runs the Voronoi branch with detail-spaced seeds
+    const isVoronoi = mode === 'voronoi' || (mode === 'adaptive' && adaptive.shape === 'voronoi');
+
+    if (isVoronoi || mode === 'stipple') {
+        // Voronoi / Stippling Logic
+        // Density decides where stipple dots gather, alternation still picks the colour
+        const densityMap = mode === 'stipple' ? density || buildDensityMap(width, height, {}, { imagePixelData }) : null;
+        let points;
+        if (fixedPoints) {
+            points = fixedPoints.map(([x, y]) => [x * width, y * height]);
+        } else if (mode === 'stipple') {
+            points = generateWeightedPoints(densityMap, width, height, stippleCount, createRandom(seed));
+        } else if (mode === 'adaptive') {
+            points = adaptiveSeeds(imagePixelData, width, height, adaptive, createRandom(seed));
+        } else {
+            points = generateRandomPoints(width, height, Math.floor((width * height) / (scale * scale * 2)), createRandom(seed));
+        }
+
+        // Relax points if stippling
+        if (mode === 'stipple' && stippleIterations > 0 && !fixedPoints) {
+            let currentPoints = points;
+            for (let i = 0; i < stippleIterations; i++) {
+                currentPoints = relaxPoints(currentPoints, densityMap, width, height);
+                if (onProgress) onProgress('relax', i + 1, stippleIterations);
+            }
+            points = currentPoints;
+        }
+
+        const voronoi = computeVoronoi(points, width, height);
+        sites = points;
+
+        for (let i = 0; i < points.length; i++) {
+            const [x, y] = points[i];
+
+            // Using 'pixel' coordinates roughly mapped to a grid for alternation pattern consistency
+            const colIdx = Math.floor(x / (scale * 2));
+            const rowIdx = Math.floor(y / (scale * 2));
+
+            const key = cellKey(mode, { site: i });
+            // The Voronoi cell is the footprint in both modes: a stipple dot stands for its whole cell
+            const cell = voronoi.cellPolygon(i);
+            const { source, fill } = colorCell(key, colIdx, rowIdx, cell, x, y);
+
+            if (mode === 'stipple') {
+                // Dot size follows the density, like ink
+                const r = Math.max(0.5, densityAt(densityMap, width, height, x, y) * (scale / 4));
+                addShape({ type: 'circle', x, y, r, fill, source, key });
+            } else {
+                if (!cell) continue;
+                // d3 closes the ring by repeating the first vertex
+                addShape({ type: 'polygon', points: cell.slice(0, -1), fill, source, key });
+            }
+        }
+
+        if (isVoronoi && gap > 0) {
+            stroke = { color: '#000', width: gap };
+        }
+    } else {
+        const lattice = LATTICES[mode] || LATTICES.hex;
+        let cells;
+        if (mode === 'adaptive') {
+            cells = adaptiveCells(imagePixelData, width, height, adaptive);
+        } else if (mode === 'lowpoly') {
+            // Edges come from the primary source; cells get a grid position like Voronoi sites
+            cells = lowPolyCells(imagePixelData[0], width, height, lowPoly, createRandom(seed))
+                .map(c => ({ ...c, col: Math.floor(c.x / (scale * 2)), row: Math.floor(c.y / (scale * 2)) }));
+        } else {
+            cells = transformedLatticeCells(lattice, width, height, scale, latticeTransform);
+        }
+        const bleed = isLatticeMode(mode) ? lattice.bleed : 0.5;
+
+        for (const [index, { polygon, x, y, col, row }] of cells.entries()) {
+            const key = cellKey(mode, isLatticeMode(mode) ? { col, row } : { index });
+            const { source, fill } = colorCell(key, col, row, polygon, x, y);
+            const points = insetPolygon(polygon, x, y, gap - bleed);
+
+            addShape({ type: 'polygon', points, fill, source, key });
+        }
+    }
+
+    return { width, height, background: BACKGROUND_COLOR, stroke, sourceCount: imageCount, shapes, hidden, points: sites };
+};
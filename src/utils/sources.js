@@ -0,0 +1,61 @@
+export const SOURCE_FITS = ['cover', 'contain', 'stretch'];
+
+/** Placement for newly added sources: fill the canvas without distortion. */
+export const DEFAULT_SOURCE_TRANSFORM = { fit: 'cover', offsetX: 0, offsetY: 0, scale: 1, rotation: 0 };
+
+/**
+ * Draws a source onto a width x height canvas with its alignment transform.
+ * The image is first fitted to the canvas (`cover` crops, `contain`
+ * letterboxes, `stretch` distorts), then scaled and rotated about the canvas
+ * centre and moved by the offset. Offsets are fractions of the canvas size,
+ * so the same transform lines up at any output resolution.
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+ * @param {CanvasImageSource} source
+ * @param {number} width
+ * @param {number} height
+ * @param {?{ fit: string, offsetX: number, offsetY: number, scale: number, rotation: number }} [transform]
+ *   Rotation in degrees; without a transform the source is stretched over the canvas
+ */
+export const drawSource = (ctx, source, width, height, transform = null) => {
+    if (!transform) {
+        ctx.drawImage(source, 0, 0, width, height);
+        return;
+    }
+    const { fit = 'cover', offsetX = 0, offsetY = 0, scale = 1, rotation = 0 } = transform;
+    let drawWidth = width;
+    let drawHeight = height;
+    if (fit === 'cover' || fit === 'contain') {
+        const k = (fit === 'cover' ? Math.max : Math.min)(width / source.width, height / source.height);
+        drawWidth = source.width * k;
+        drawHeight = source.height * k;
+    }
+    ctx.save();
+    ctx.translate(width / 2 + offsetX * width, height / 2 + offsetY * height);
+    ctx.rotate((rotation * Math.PI) / 180);
+    ctx.scale(scale, scale);
+    ctx.drawImage(source, -drawWidth / 2, -drawHeight / 2, drawWidth, drawHeight);
+    ctx.restore();
+};
+
+/**
+ * Rasterises every source image at the given size and returns its RGBA data.
+ * All sources share the same dimensions so cells can sample any of them;
+ * each is placed by its transform (see `drawSource`), areas it leaves
+ * uncovered read as black.
+ * Works in workers as well, given ImageBitmaps.
+ * @param {CanvasImageSource[]} sources
+ * @param {number} width
+ * @param {number} height
+ * @param {Array<?Object>} [transforms] One per source
+ * @returns {Uint8ClampedArray[]}
+ */
+export const readSourcePixels = (sources, width, height, transforms = []) => {
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+    return sources.map((source, i) => {
+        ctx.clearRect(0, 0, width, height);
+        drawSource(ctx, source, width, height, transforms[i] || null);
+        return ctx.getImageData(0, 0, width, height).data;
+    });
+};
@@ -0,0 +1,117 @@
+import { shapeCenter } from './scene';
+
+/** Flat cells on the original near-black background. */
+export const DEFAULT_CELL_STYLE = {
+    background: '#0a0a0a', // Also the colour of gaps
+    outlineColor: '#000000',
+    outlineWidth: 0,
+    rounding: 0, // 0..1, share of each edge given over to the rounded corner
+    bevel: 0, // 0..0.5, bevel depth as a share of the cell radius
+    modulation: 0, // 0..1, how far light cells shrink (dark ones with `modulationInvert`)
+    modulationInvert: false
+};
+
+// Segments per rounded corner
+const CORNER_STEPS = 4;
+// Direction towards the light, which sits top left
+const LIGHT = [-Math.SQRT1_2, -Math.SQRT1_2];
+
+/**
+ * Replaces every corner of a polygon by a quadratic curve, flattened to a few
+ * points so the result is still a plain polygon for every output format.
+ * @param {Array<[number, number]>} points
+ * @param {number} amount 0..1; 1 rounds each edge away completely
+ * @returns {Array<[number, number]>}
+ */
+export const roundPolygon = (points, amount) => {
+    const n = points.length;
+    const rounded = [];
+    for (let i = 0; i < n; i++) {
+        const prev = points[(i + n - 1) % n];
+        const [cx, cy] = points[i];
+        const next = points[(i + 1) % n];
+        // Half of each edge at most, so neighbouring corners meet in the middle
+        const t = amount / 2;
+        const start = [cx + (prev[0] - cx) * t, cy + (prev[1] - cy) * t];
+        const end = [cx + (next[0] - cx) * t, cy + (next[1] - cy) * t];
+        for (let s = 0; s <= CORNER_STEPS; s++) {
+            const u = s / CORNER_STEPS;
+            const a = (1 - u) * (1 - u);
+            const b = 2 * u * (1 - u);
+            const c = u * u;
+            rounded.push([a * start[0] + b * cx + c * end[0], a * start[1] + b * cy + c * end[1]]);
+        }
+    }
+    return rounded;
+};
+
+/**
+ * Applies a cell style to a scene, in place. Size modulation and rounding
+ * change the shape geometry, so every output picks them up; the background,
+ * outline and bevel are scene attributes painted by `drawScene` and `sceneToSvg`.
+ * Circles are scaled but never rounded.
+ * @param {Object} scene From `buildScene`
+ * @param {Object} style See DEFAULT_CELL_STYLE
+ */
+export const applyCellStyle = (scene, style) => {
+    const { background, outlineColor, outlineWidth, rounding, bevel, modulation, modulationInvert } = { ...DEFAULT_CELL_STYLE, ...style };
+    scene.background = background;
+    // Voronoi gaps are drawn as strokes, so they take the gap colour too
+    if (scene.stroke) scene.stroke = { ...scene.stroke, color: background };
+    scene.outline = outlineWidth > 0 ? { color: outlineColor, width: outlineWidth } : null;
+    scene.bevel = bevel;
+
+    if (rounding <= 0 && modulation <= 0) return;
+    for (const shape of scene.shapes) {
+        if (modulation > 0) {
+            const brightness = (shape.fill[0] + shape.fill[1] + shape.fill[2]) / (3 * 255);
+            const k = Math.max(0, 1 - modulation * (modulationInvert ? 1 - brightness : brightness));
+            if (shape.type === 'circle') {
+                shape.r *= k;
+            } else {
+                const [x, y] = shapeCenter(shape);
+                shape.points = shape.points.map(([px, py]) => [x + (px - x) * k, y + (py - y) * k]);
+            }
+        }
+        if (rounding > 0 && shape.type === 'polygon') {
+            shape.points = roundPolygon(shape.points, rounding);
+        }
+    }
+};
+
+const shade = (fill, amount) => fill.map(c => Math.round(amount > 0 ? c + (255 - c) * amount : c * (1 + amount)));
+
+/**
+ * Bevel facets for one shape: a strip along every edge, lightened where the
+ * edge faces the light and darkened where it faces away. Drawn over the
+ * shape's flat fill, they leave its inner part as the face of the tile.
+ * @param {Object} shape
+ * @param {number} depth 0..0.5, as a share of the distance from centre to corner
+ * @returns {Array<{ points: Array<[number, number]>, fill: [number, number, number] }>}
+ */
+export const bevelFacets = (shape, depth) => {
+    const [cx, cy] = shapeCenter(shape);
+    const outer = shape.type === 'circle'
+        ? Array.from({ length: 24 }, (_, i) => [cx + shape.r * Math.cos((i * Math.PI) / 12), cy + shape.r * Math.sin((i * Math.PI) / 12)])
+        : shape.points;
+    const inner = outer.map(([x, y]) => [x + (cx - x) * depth, y + (cy - y) * depth]);
+
+    const facets = [];
+    for (let i = 0; i < outer.length; i++) {
+        const j = (i + 1) % outer.length;
+        const [ax, ay] = outer[i];
+        const [bx, by] = outer[j];
+        const length = Math.hypot(bx - ax, by - ay);
+        if (length === 0) continue;
+        // Outward normal, whichever way the polygon winds
+        let nx = (by - ay) / length;
+        let ny = -(bx - ax) / length;
+        if (nx * ((ax + bx) / 2 - cx) + ny * ((ay + by) / 2 - cy) < 0) {
+            nx = -nx;
+            ny = -ny;
+        }
+        const light = nx * LIGHT[0] + ny * LIGHT[1];
+        facets.push({ points: [outer[i], outer[j], inner[j], inner[i]], fill: shade(shape.fill, light * 0.5) });
+    }
+    return facets;
+};
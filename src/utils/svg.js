@@ -0,0 +1,125 @@
+import { toCssColor } from './color';
+import { shapeCenter, isShapeOnCanvas } from './scene';
+import { bevelFacets } from './styling';
+
+const round = (n) => Math.round(n * 100) / 100;
+
+const pointList = (points) => points.map(([x, y]) => `${round(x)},${round(y)}`).join(' ');
+
+const escapeXml = (text) => text.replace(/[<>&"]/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }[ch]));
+
+// Colours and widths can come from a project file or a link, so they are
+// escaped rather than trusted to be plain values
+const attr = (value) => escapeXml(String(value));
+
+/**
+ * Serialises a scene built by `buildScene` as a standalone SVG document.
+ * Every cell becomes its own element, grouped per source image so the
+ * layers can be selected and edited separately in a vector editor. Bevel
+ * facets follow their cell; outlines get a layer of their own.
+ * @param {Object} scene
+ * @returns {string}
+ */
+export const sceneToSvg = (scene) => {
+    const { width, height } = scene;
+    const groups = Array.from({ length: Math.max(1, scene.sourceCount) }, () => []);
+    const outlines = [];
+
+    for (const shape of scene.shapes) {
+        const fill = attr(toCssColor(shape.fill));
+        let element;
+        if (shape.type === 'circle') {
+            element = `<circle cx="${round(shape.x)}" cy="${round(shape.y)}" r="${round(shape.r)}"`;
+        } else {
+            element = `<polygon points="${pointList(shape.points)}"`;
+        }
+        groups[shape.source].push(`${element} fill="${fill}"/>`);
+        if (scene.bevel > 0) {
+            for (const facet of bevelFacets(shape, scene.bevel)) {
+                groups[shape.source].push(`<polygon points="${pointList(facet.points)}" fill="${attr(toCssColor(facet.fill))}" stroke="none"/>`);
+            }
+            // Gap strokes go back over the facets, as on the canvas
+            if (scene.stroke) groups[shape.source].push(`${element} fill="none"/>`);
+        }
+        if (scene.outline) outlines.push(`${element}/>`);
+    }
+
+    const strokeAttrs = scene.stroke
+        ? ` stroke="${attr(scene.stroke.color)}" stroke-width="${attr(scene.stroke.width)}" stroke-linejoin="round"`
+        : '';
+
+    const body = groups
+        .map((shapes, i) => `<g id="source-${i + 1}" inkscape:groupmode="layer" inkscape:label="Source ${i + 1}"${strokeAttrs}>\n${shapes.join('\n')}\n</g>`)
+        .join('\n');
+
+    const outlineLayer = scene.outline
+        ? `<g id="outlines" inkscape:groupmode="layer" inkscape:label="Outlines" fill="none" stroke="${attr(scene.outline.color)}" stroke-width="${attr(scene.outline.width)}" stroke-linejoin="round">\n${outlines.join('\n')}\n</g>`
+        : null;
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+        `<rect width="${width}" height="${height}" fill="${attr(scene.background)}"/>`,
+        body,
+        outlineLayer,
+        '</svg>'
+    ].filter(Boolean).join('\n');
+};
+
+/**
+ * Serialises a material-mapped scene as a numbered build plan: every cell is
+ * outlined and labelled with its material number, followed by a legend.
+ * @param {Object} scene Scene processed by `assignMaterials`
+ * @param {ReturnType<import('./materials').billOfMaterials>} bom
+ * @returns {string}
+ */
+export const sceneToCellMapSvg = (scene, bom) => {
+    const { width, height } = scene;
+    const legendRow = 18;
+    const legendHeight = bom.length * legendRow + 16;
+    const cells = [];
+    const labels = [];
+
+    for (const shape of scene.shapes) {
+        if (!isShapeOnCanvas(scene, shape)) continue;
+        const label = String(shape.material + 1);
+        const [cx, cy] = shapeCenter(shape);
+        let size, outline;
+        if (shape.type === 'circle') {
+            size = shape.r * 2;
+            outline = `<circle cx="${round(cx)}" cy="${round(cy)}" r="${round(shape.r)}"/>`;
+        } else {
+            const xs = shape.points.map(p => p[0]);
+            const ys = shape.points.map(p => p[1]);
+            size = Math.min(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+            outline = `<polygon points="${pointList(shape.points)}"/>`;
+        }
+        // Shrink long numbers so they stay inside small cells
+        const fontSize = round(Math.max(2, size * 0.45) / Math.max(1, label.length * 0.6));
+        cells.push(outline);
+        labels.push(`<text x="${round(cx)}" y="${round(cy)}" font-size="${fontSize}">${label}</text>`);
+    }
+
+    const legend = bom.map((row, i) => {
+        const y = height + 12 + i * legendRow;
+        return `<rect x="8" y="${y}" width="14" height="14" fill="${toCssColor(row.color)}" stroke="#000"/>` +
+            `<text x="30" y="${y + 11}" font-size="11">${row.number}. ${escapeXml(row.name)}${row.sku ? ` (${escapeXml(row.sku)})` : ''} × ${row.count}</text>`;
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height + legendHeight}" viewBox="0 0 ${width} ${height + legendHeight}" font-family="sans-serif">`,
+        `<rect width="${width}" height="${height + legendHeight}" fill="#fff"/>`,
+        `<clipPath id="canvas"><rect width="${width}" height="${height}"/></clipPath>`,
+        '<g fill="none" stroke="#000" stroke-width="0.3" clip-path="url(#canvas)">',
+        ...cells,
+        '</g>',
+        '<g fill="#000" text-anchor="middle" dominant-baseline="central">',
+        ...labels,
+        '</g>',
+        '<g fill="#000">',
+        ...legend,
+        '</g>',
+        '</svg>'
+    ].join('\n');
+};
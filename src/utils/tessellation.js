@@ -1,20 +1,85 @@
 
 import { Delaunay } from 'd3-delaunay';
+import { hashCoords } from './random';
 
 /**
  * Generates a set of random points within bounds.
  * @param {number} width 
  * @param {number} height 
  * @param {number} count 
+ * @param {() => number} [random] Source of [0, 1) floats; pass a seeded generator for reproducible layouts
  * @returns {Array<[number, number]>}
  */
-export const generateRandomPoints = (width, height, count) => {
+export const generateRandomPoints = (width, height, count, random = Math.random) => {
     return Array.from({ length: count }, () => [
-        Math.random() * width,
-        Math.random() * height
+        random() * width,
+        random() * height
     ]);
 };
 
+/**
+ * Places points with probability proportional to a density map, by rejection
+ * sampling: candidates are drawn uniformly and kept with probability
+ * density / max density. Falls back to uniform placement for an empty map.
+ * @param {Float32Array} density Per-pixel weight, width x height
+ * @param {number} width
+ * @param {number} height
+ * @param {number} count
+ * @param {() => number} [random]
+ * @returns {Array<[number, number]>}
+ */
+export const generateWeightedPoints = (density, width, height, count, random = Math.random) => {
+    let max = 0;
+    for (let i = 0; i < density.length; i++) if (density[i] > max) max = density[i];
+    if (max <= 0) return generateRandomPoints(width, height, count, random);
+
+    const points = [];
+    // Bounded so a nearly empty map can't stall; the remainder is placed uniformly
+    const maxAttempts = count * 1000;
+    for (let attempt = 0; points.length < count && attempt < maxAttempts; attempt++) {
+        const x = random() * width;
+        const y = random() * height;
+        if (random() * max < density[Math.floor(y) * width + Math.floor(x)]) points.push([x, y]);
+    }
+    return points.length < count
+        ? points.concat(generateRandomPoints(width, height, count - points.length, random))
+        : points;
+};
+
+/**
+ * Returns the corners of a pointy-top hexagon centred on (x, y).
+ * @param {number} x
+ * @param {number} y
+ * @param {number} size Circumradius
+ * @returns {Array<[number, number]>}
+ */
+export const hexagonPolygon = (x, y, size) => {
+    const polygon = [];
+    for (let i = 0; i < 6; i++) {
+        const angle = (Math.PI / 3) * i + Math.PI / 6;
+        polygon.push([x + size * Math.cos(angle), y + size * Math.sin(angle)]);
+    }
+    return polygon;
+};
+
+/**
+ * Returns the corners of an equilateral triangle centred on (x, y).
+ * @param {number} x
+ * @param {number} y
+ * @param {number} size Circumradius
+ * @param {boolean} inverted Point down instead of up
+ * @returns {Array<[number, number]>}
+ */
+export const trianglePolygon = (x, y, size, inverted = false) => {
+    const polygon = [];
+    const angleOffset = inverted ? Math.PI : 0;
+    for (let i = 0; i < 3; i++) {
+        const angle = (Math.PI * 2 / 3) * i - Math.PI / 2 + angleOffset;
+        polygon.push([x + size * Math.cos(angle), y + size * Math.sin(angle)]);
+    }
+    return polygon;
+};
+
 /**
  * Computes the Voronoi diagram from a set of points.
  * @param {Array<[number, number]>} points 
@@ -28,81 +93,52 @@ export const computeVoronoi = (points, width, height) => {
 };
 
 /**
- * Performs one iteration of Lloyd's relaxation to stipple the image.
- * Moves points towards the centroid of their Voronoi cell, weighted by pixel brightness.
- * @param {Voronoi} voronoi 
- * @param {Uint8ClampedArray} pixelData 
+ * Performs one iteration of weighted Lloyd's relaxation to stipple the image.
+ * Every pixel is assigned to its nearest site in a single scan of the image,
+ * and each site moves to the density-weighted centroid of its pixels.
+ * Consecutive pixels almost always share a site, so starting each nearest
+ * site search from the previous answer makes the scan close to linear.
+ * @param {Array<[number, number]>} points Current sites
+ * @param {Float32Array} density Per-pixel weight from `buildDensityMap`
  * @param {number} width 
  * @param {number} height 
  * @returns {Array<[number, number]>} New points
  */
-export const relaxPoints = (voronoi, pixelData, width, height) => {
-    const points = [];
-    const siteCount = voronoi.delaunay.points.length / 2;
-
-    for (let i = 0; i < siteCount; i++) {
-        const polygon = voronoi.cellPolygon(i);
-        if (!polygon) continue;
-
-        let xSum = 0;
-        let ySum = 0;
-        let weightSum = 0;
-
-        // Simple bounding box for the polygon to sample pixels
-        let minX = width, maxX = 0, minY = height, maxY = 0;
-        for (const [px, py] of polygon) {
-            if (px < minX) minX = px;
-            if (px > maxX) maxX = px;
-            if (py < minY) minY = py;
-            if (py > maxY) maxY = py;
-        }
-
-        minX = Math.floor(Math.max(0, minX));
-        maxX = Math.ceil(Math.min(width - 1, maxX));
-        minY = Math.floor(Math.max(0, minY));
-        maxY = Math.ceil(Math.min(height - 1, maxY));
-
-        // Iterate over pixels in the bounding box
-        for (let y = minY; y <= maxY; y++) {
-            for (let x = minX; x <= maxX; x++) {
-                if (voronoi.contains(i, x, y)) { // Precise check if pixel is in cell
-                    const idx = (y * width + x) * 4;
-                    // Invert brightness: darker pixels = higher weight (more dots)
-                    // Or standard: brighter = higher weight. 
-                    // For stippling (drawing black dots on white), we usually want more points in dark areas.
-                    // So weight = 1 - brightness.
-                    const r = pixelData[idx];
-                    const g = pixelData[idx + 1];
-                    const b = pixelData[idx + 2];
-                    const brightness = (r + g + b) / (3 * 255);
-                    const weight = 1 - brightness;
-
-                    xSum += x * weight;
-                    ySum += y * weight;
-                    weightSum += weight;
-                }
-            }
-        }
+export const relaxPoints = (points, density, width, height) => {
+    const delaunay = Delaunay.from(points);
+    const xSum = new Float64Array(points.length);
+    const ySum = new Float64Array(points.length);
+    const weightSum = new Float64Array(points.length);
 
-        if (weightSum > 0) {
-            points.push([xSum / weightSum, ySum / weightSum]);
-        } else {
-            // If no weight, keep original position (or could randomize)
-            points.push([voronoi.delaunay.points[i * 2], voronoi.delaunay.points[i * 2 + 1]]);
+    let site = 0;
+    for (let y = 0; y < height; y++) {
+        // Snake through the rows so the search hint is always a neighbouring pixel
+        const reverse = y % 2 === 1;
+        for (let k = 0; k < width; k++) {
+            const x = reverse ? width - 1 - k : k;
+            const weight = density[y * width + x];
+            site = delaunay.find(x, y, site);
+            if (weight <= 0) continue;
+            xSum[site] += x * weight;
+            ySum[site] += y * weight;
+            weightSum[site] += weight;
         }
     }
-    return points;
+
+    // Sites without weight (or without pixels) keep their position
+    return points.map((point, i) => (weightSum[i] > 0 ? [xSum[i] / weightSum[i], ySum[i] / weightSum[i]] : point));
 };
 
 /**
  * Determines which image index to use for a given cell based on a pattern.
  * @param {number} col Column index (or general X rough coordinate converted to index)
  * @param {number} row Row index (or general Y rough coordinate converted to index)
- * @param {string} pattern 'checkerboard', 'rows', 'cols', 'random', 'single'
+ * @param {string} pattern 'checkerboard', 'rows', 'cols', 'random', 'single' ('mask' is resolved by the scene)
  * @param {number} imageCount 
+ * @param {number} [seed] Varies the 'random' pattern
  * @returns {number} Image index
  */
-export const getAlternationIndex = (col, row, pattern, imageCount) => {
+export const getAlternationIndex = (col, row, pattern, imageCount, seed = 0) => {
     if (imageCount <= 1) return 0;
 
     const safeMod = (n, m) => ((n % m) + m) % m;
@@ -115,8 +151,8 @@ export const getAlternationIndex = (col, row, pattern, imageCount) => {
         case 'cols':
             return safeMod(col, imageCount);
         case 'random':
-            // Simple hash for deterministic "random" based on position
-            return Math.abs(Math.floor(Math.sin(col * 12.9898 + row * 78.233) * 43758.5453)) % imageCount;
+            // Hash of position and seed: stable across re-renders, different per seed
+            return hashCoords(col, row, seed) % imageCount;
         case 'sequence':
             // TBD: Sequential filling?
             return safeMod(col + row * 10, imageCount);
@@ -0,0 +1,37 @@
+import { runPipeline } from '../utils/pipeline';
+import { drawScene } from '../utils/draw';
+import { readSourcePixels } from '../utils/sources';
+
+// Progress messages are throttled so a fast render doesn't flood the main thread
+const PROGRESS_INTERVAL = 50;
+
+self.onmessage = ({ data }) => {
+    const { id, sources, maskSource, densitySource, width, height, params, output } = data;
+
+    let lastProgress = 0;
+    const onProgress = (stage, current, total) => {
+        const now = performance.now();
+        if (current < total && now - lastProgress < PROGRESS_INTERVAL) return;
+        lastProgress = now;
+        self.postMessage({ type: 'progress', id, stage, current, total });
+    };
+
+    try {
+        const imagePixelData = readSourcePixels(sources, width, height, params.transforms);
+        const maskPixels = maskSource && params.pattern === 'mask' ? readSourcePixels([maskSource], width, height)[0] : null;
+        const densityPixels = densitySource && params.mode === 'stipple' ? readSourcePixels([densitySource], width, height)[0] : null;
+        const { scene, palettes } = runPipeline(imagePixelData, width, height, params, { maskPixels, densityPixels, onProgress });
+
+        if (output === 'scene') {
+            self.postMessage({ type: 'done', id, scene, palettes });
+            return;
+        }
+
+        const canvas = new OffscreenCanvas(width, height);
+        drawScene(canvas.getContext('2d'), scene, { onProgress });
+        const bitmap = canvas.transferToImageBitmap();
+        self.postMessage({ type: 'done', id, scene, palettes, bitmap }, [bitmap]);
+    } catch (err) {
+        self.postMessage({ type: 'error', id, message: err.message });
+    }
+};
@@ -0,0 +1,16 @@
+import { defineConfig } from 'vite'
+
+// Node build of the headless library and the `lattice-morph` CLI
+export default defineConfig({
+    build: {
+        ssr: true,
+        outDir: 'dist-ssr',
+        target: 'node18',
+        rollupOptions: {
+            input: {
+                lib: 'src/lib.js',
+                cli: 'src/cli.js'
+            }
+        }
+    }
+})